@@ -17,7 +17,47 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 import './src/styles.css';
+import lifecycle from './lifecycle.json';
+import { LICENSE_FAMILIES, getFsfDirectoryUrl, getLicenseFamily, getLicenseLabel } from './src/licenses.js';
+import { getAvatarUrl } from './src/avatars.js';
+import { filterProjects, prepareProject, sortProjects } from './src/catalog.js';
+import { closeAllDialogs, openDialog } from './src/dialog.js';
+import { EXPORT_FORMATS } from './src/export.js';
+import { escapeHtml, safeUrl } from './src/html.js';
+import { LOCALES, detectLocale, formatDate, formatList, formatNumber, getLocale, setLocale, t, translateDocument } from './src/i18n.js';
+import { getLogoSources } from './src/logos.js';
+import { getType } from './src/project-types.js';
+import { createSearchIndex, highlightText } from './src/search.js';
+import { STATUSES, getStatus, getStatusBadgeClass, lifecycleThresholds } from './src/statuses.js';
+import { buildTechnologyFacets, technologyKey } from './src/technologies.js';
+import { describeTypeFilter } from './src/type-filter.js';
+import { hasYearRange, parseViewState, serializeViewState } from './src/view-state.js';
+
+// Status derivation thresholds, shared with the build (see lifecycle.json)
+const STATUS_THRESHOLDS = lifecycleThresholds(lifecycle);
+
+// Logo tiles in each view: the tile and the logo inside it (its largest size,
+// and its rendered width for srcset). A generated avatar fills the whole tile.
+const LOGO_TILES = {
+    detail: {
+        tile: 'w-16 h-16 sm:w-20 sm:h-20 flex-shrink-0',
+        image: 'w-12 h-12 sm:w-16 sm:h-16',
+        size: 64,
+        sizes: '(min-width: 640px) 64px, 48px',
+        lazy: false
+    },
+    card: { tile: 'w-12 h-12', image: 'w-10 h-10', size: 40, sizes: '40px', lazy: true },
+    table: {
+        tile: 'w-8 h-8 sm:w-12 sm:h-12',
+        image: 'w-6 h-6 sm:w-10 sm:h-10',
+        size: 40,
+        sizes: '(min-width: 640px) 40px, 24px',
+        lazy: true
+    }
+};
 
+// Names of the forge adapters in src/forges/, as shown in the detail view
+const FORGE_LABELS = { github: 'GitHub', gitlab: 'GitLab', gitea: 'Gitea/Forgejo', git: 'git' };
 
 // Initialize theme before page renders to prevent flash
 (function() {
@@ -37,14 +77,41 @@ import './src/styles.css';
     }
 })();
 
+// Pick the interface language before anything is rendered
+setLocale(detectLocale());
+
 class LibreLinker {
     constructor() {
         this.projects = [];
         // Multi-column sort state: ordered array of { column, direction }
         this.sortState = [];
         this.hasUserSorted = false;
+        // Type filter: included types, excluded types and how included types combine ('and' / 'or')
         this.activeFilters = new Set();
+        this.excludedTypes = new Set();
+        this.typeFilterMode = 'and';
+        this.activeLicenseFamilies = new Set();
+        // Normalized technology keys (see src/technologies.js); projects must use all of them
+        this.activeTechnologies = new Set();
+        this.technologyLabels = new Map();
+        this.technologyFacetQuery = '';
+        // Status keys (see src/statuses.js); projects may have ANY of them
+        this.activeStatuses = new Set();
+        // Inclusive yearStarted bounds, null when open-ended
+        this.yearRange = { from: null, to: null };
+        // Full-text search: query text and cached results (Map of project -> { score, highlights })
+        this.searchQuery = '';
+        this.searchIndex = null;
+        this.searchResults = null;
         this.ltcOnTop = true; // null = off, true = LTC on top, false = LTC on bottom
+        // Set when projects.json couldn't be loaded; shown instead of the list with a retry button
+        this.loadError = null;
+        // Logos that failed to load, shown as initials from then on
+        this.brokenLogos = new Set();
+        // Last sort description, so only changes are announced (see updateSortIndicators)
+        this.sortAnnouncement = null;
+        // Roving tabindex position in the table body: { row, col }
+        this.activeCell = { row: 0, col: 0 };
         
         // Pinch-to-zoom properties
         this.scale = 1;
@@ -54,6 +121,13 @@ class LibreLinker {
         // Detect touch device
         this.isTouchDevice = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
         
+        // 'table' or 'cards', saved in localStorage like the theme
+        this.layout = this.getInitialLayout();
+        
+        // Client-side routing state (see handleRoute)
+        this.catalogScrollY = 0;
+        this.currentRoute = { view: 'catalog' };
+        
         this.init();
     }
 
@@ -61,21 +135,48 @@ class LibreLinker {
         await this.loadProjects();
         this.setupSortHandlers();
         this.setupFilterHandlers();
+        this.setupActiveFilterBar();
+        this.setupYearRange();
+        this.setupSearch();
+        this.setupTechnologyFacets();
+        this.setupLayoutToggle();
+        this.setupExportMenu();
+        this.setupTableNavigation();
+        this.setupActions();
         this.setupPinchZoom();
         
-        // If any filters are enabled on startup, disable LTC supported sort
-        if (this.activeFilters.size > 0) {
+        if (window.location.search) {
+            // A shared/bookmarked view takes precedence over the defaults
+            this.restoreStateFromUrl();
+        } else if (this.hasActiveFilters()) {
+            // If any filters are enabled on startup, disable LTC supported sort
             this.ltcOnTop = null;
         }
+        // Normalize the URL (drops unknown or redundant parameters). Not without
+        // projects, when every technology would count as unknown
+        if (!this.loadError) this.syncStateToUrl({ push: false });
+        
+        // Back/forward between views restores their state
+        window.addEventListener('popstate', () => {
+            this.restoreStateFromUrl();
+            this.updateSortIndicators();
+            this.render();
+        });
         
         this.render();
+        this.setupRouting();
     }
 
     async loadProjects() {
         try {
             const response = await fetch('projects.json');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
             const allProjects = await response.json();
             
+            // Derive slugs, technology keys, safe URLs, parsed licenses and statuses once
+            // up front for rendering, sorting and filtering (see prepareProject in src/catalog.js)
+            allProjects.forEach(project => prepareProject(project, { thresholds: STATUS_THRESHOLDS }));
+            
             // Separate LTC and non-LTC projects
             const ltcProjects = allProjects.filter(p => p.ltcSupported === true);
             const nonLtcProjects = allProjects.filter(p => p.ltcSupported !== true);
@@ -86,10 +187,358 @@ class LibreLinker {
             
             // LTC projects on top by default
             this.projects = [...ltcProjects, ...nonLtcProjects];
+            this.loadError = null;
         } catch (error) {
             console.error('Error loading projects:', error);
             this.projects = [];
+            this.loadError = error;
+        }
+        this.searchIndex = createSearchIndex(this.projects);
+        this.technologyLabels = new Map(buildTechnologyFacets(this.projects).map(f => [f.key, f.label]));
+    }
+
+    // The retry button of the load error state: once the projects arrive, apply
+    // the URL's view state again, since it was read before there were any
+    async retryLoadProjects(button) {
+        button.disabled = true;
+        button.textContent = t('loadError.retrying');
+        await this.loadProjects();
+        if (!this.loadError) {
+            this.updateYearBounds();
+            this.restoreStateFromUrl();
+            this.syncStateToUrl({ push: false });
+            this.updateSortIndicators();
+        }
+        this.render();
+        if (this.currentRoute.view === 'project') {
+            this.showProjectDetail(this.currentRoute.slug);
+        }
+        // Still failing: keep focus on the (re-rendered) button
+        if (this.loadError) {
+            const container = this.currentRoute.view === 'project'
+                ? document.getElementById('project-detail')
+                : document.getElementById(this.layout === 'cards' ? 'projects-cards' : 'projects-tbody');
+            container?.querySelector('[data-action="retry-load"]')?.focus();
+        }
+    }
+
+    renderLoadError() {
+        return `
+            <div class="text-6xl mb-4">📡</div>
+            <p class="text-gray-600 dark:text-gray-300 font-medium">${escapeHtml(t('loadError.title'))}</p>
+            <p class="text-gray-500 dark:text-gray-400 text-sm mt-2">${escapeHtml(t(navigator.onLine === false ? 'loadError.offline' : 'loadError.text'))}</p>
+            <button type="button" data-action="retry-load" class="mt-4 px-4 py-2 bg-brand-gold text-white text-sm font-medium rounded-lg hover:bg-opacity-90 transition-colors disabled:opacity-50">
+                ${escapeHtml(t('loadError.retry'))}
+            </button>
+        `;
+    }
+
+    getViewState() {
+        return {
+            query: this.searchQuery.trim(),
+            types: Array.from(this.activeFilters),
+            excludedTypes: Array.from(this.excludedTypes),
+            typeMode: this.typeFilterMode,
+            licenses: Array.from(this.activeLicenseFamilies),
+            technologies: Array.from(this.activeTechnologies),
+            statuses: Array.from(this.activeStatuses),
+            yearRange: { ...this.yearRange },
+            sort: this.sortState.map(({ column, direction }) => ({ column, direction })),
+            ltcOnTop: this.ltcOnTop
+        };
+    }
+
+    restoreStateFromUrl() {
+        const state = parseViewState(window.location.search, {
+            types: Array.from(document.querySelectorAll('[data-filter-type]'), b => b.getAttribute('data-filter-type')),
+            licenses: LICENSE_FAMILIES.map(f => f.key),
+            technologies: [...new Set(this.projects.flatMap(p => p.technologyKeys))],
+            statuses: STATUSES.map(s => s.key),
+            sortColumns: Array.from(document.querySelectorAll('th[data-sort]'), th => th.getAttribute('data-sort'))
+                .filter(column => column !== 'ltcSupported')
+        });
+
+        this.setSearchQuery(state.query);
+        const searchInput = document.getElementById('project-search');
+        if (searchInput && searchInput.value.trim() !== state.query) {
+            searchInput.value = state.query;
+        }
+        this.activeFilters = new Set(state.types);
+        this.excludedTypes = new Set(state.excludedTypes);
+        this.typeFilterMode = state.typeMode;
+        this.activeLicenseFamilies = new Set(state.licenses);
+        this.activeTechnologies = new Set(state.technologies);
+        this.activeStatuses = new Set(state.statuses);
+        this.yearRange = state.yearRange;
+        this.updateYearInputs();
+        this.sortState = state.sort;
+        this.hasUserSorted = state.sort.length > 0;
+        this.ltcOnTop = state.ltcOnTop;
+        this.updateFilterButtons();
+    }
+
+    // Write the current view state to the query string, keeping the route hash intact
+    // unless a new one is given
+    syncStateToUrl({ push = true, hash = window.location.hash } = {}) {
+        const query = serializeViewState(this.getViewState());
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+        if (push) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    setupRouting() {
+        window.addEventListener('hashchange', () => this.handleRoute());
+        this.handleRoute();
+    }
+
+    // Routes: #/project/<slug> opens a project's detail view, anything else shows the catalog
+    parseRoute(hash = window.location.hash) {
+        const match = hash.match(/^#\/project\/([^/?#]+)\/?$/);
+        if (match) {
+            let slug;
+            try {
+                slug = decodeURIComponent(match[1]);
+            } catch {
+                // Malformed escapes (e.g. "%") can't name a project; show it as typed
+                slug = match[1];
+            }
+            return { view: 'project', slug: slug.toLowerCase() };
+        }
+        return { view: 'catalog' };
+    }
+
+    getProjectLink(project) {
+        return `#/project/${encodeURIComponent(project.slug)}`;
+    }
+
+    handleRoute() {
+        const previous = this.currentRoute;
+        const route = this.parseRoute();
+        this.currentRoute = route;
+
+        if (route.view === 'project') {
+            // Remember where the visitor was in the list so Back returns them there
+            if (previous.view === 'catalog') {
+                this.catalogScrollY = window.scrollY;
+            }
+            this.showProjectDetail(route.slug);
+        } else {
+            this.showCatalog(previous.view === 'project');
+        }
+    }
+
+    setView(view) {
+        document.querySelectorAll('[data-view]').forEach(el => {
+            el.classList.toggle('hidden', el.getAttribute('data-view') !== view);
+        });
+    }
+
+    showCatalog(restoreScroll = false) {
+        this.setView('catalog');
+        document.title = t('meta.title');
+        if (restoreScroll) {
+            window.scrollTo(0, this.catalogScrollY);
+        }
+    }
+
+    showProjectDetail(slug) {
+        const container = document.getElementById('project-detail');
+        if (!container) return;
+
+        this.closeDialogs();
+        const project = this.projects.find(p => p.slug === slug);
+        if (this.loadError) {
+            // Without projects, every slug would look unknown
+            container.innerHTML = `<div class="max-w-3xl mx-auto text-center py-12">${this.renderLoadError()}</div>`;
+            document.title = t('meta.title');
+        } else {
+            container.innerHTML = project ? this.renderProjectDetail(project) : this.renderProjectNotFound(slug);
+            document.title = project ? t('detail.title', { name: project.name }) : t('notFound.pageTitle');
+        }
+
+        this.setView('detail');
+        window.scrollTo(0, 0);
+        container.querySelector('h2')?.focus();
+    }
+
+    renderProjectNotFound(slug) {
+        return `
+            <div class="max-w-3xl mx-auto text-center py-12">
+                <div class="text-6xl mb-4">😢</div>
+                <h2 tabindex="-1" class="text-2xl sm:text-3xl font-bold text-brand-navy dark:text-brand-gold mb-3 focus:outline-none">${escapeHtml(t('notFound.title'))}</h2>
+                <p class="text-gray-600 dark:text-gray-400 text-sm sm:text-base mb-6">${escapeHtml(t('notFound.text', { slug }))}</p>
+                <a href="#/" class="inline-block px-4 py-2 bg-brand-gold text-white text-sm font-medium rounded-lg hover:bg-opacity-90 transition-colors">${escapeHtml(t('notFound.browse'))}</a>
+            </div>
+        `;
+    }
+
+    renderProjectDetail(project) {
+        return `
+            <div class="max-w-3xl mx-auto">
+                <a href="#/" class="inline-flex items-center gap-1 text-sm text-brand-gold hover:underline mb-4">
+                    <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7"/>
+                    </svg>
+                    ${escapeHtml(t('detail.back'))}
+                </a>
+                <article class="bg-white dark:bg-gray-800 rounded-lg shadow-lg border border-gray-200 dark:border-gray-600 overflow-hidden">
+                    <header class="p-4 sm:p-6 border-b border-gray-200 dark:border-gray-700 flex items-start gap-4">
+                        ${this.renderLogoTile(project, 'detail')}
+                        <div class="min-w-0 flex-1">
+                            <h2 tabindex="-1" class="text-2xl sm:text-3xl font-bold text-brand-navy dark:text-brand-gold focus:outline-none">${escapeHtml(project.name)}</h2>
+                            <div class="flex flex-wrap items-center gap-2 mt-2">
+                                ${this.renderStatusBadge(project.status)}
+                                <span class="text-xs sm:text-sm text-gray-600 dark:text-gray-400">${escapeHtml(t('detail.started', { year: String(project.yearStarted) }))}</span>
+                                ${project.ltcSupported
+                                    ? `<span class="px-2 py-0.5 bg-brand-navy text-white dark:bg-brand-gold dark:text-brand-navy text-[10px] sm:text-xs font-medium rounded-full">${escapeHtml(t('project.ltcSupported'))}</span>`
+                                    : ''}
+                            </div>
+                            ${project.dateAdded || project.dateUpdated
+                                ? `<p class="text-xs text-gray-500 dark:text-gray-400 mt-2">${[
+                                    project.dateAdded && t('detail.added', { date: formatDate(project.dateAdded) }),
+                                    project.dateUpdated && t('detail.updated', { date: formatDate(project.dateUpdated) })
+                                ].filter(Boolean).map(escapeHtml).join(' · ')}</p>`
+                                : ''}
+                        </div>
+                    </header>
+                    <div class="p-4 sm:p-6 space-y-6">
+                        <section>
+                            <h3 class="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">${escapeHtml(t('detail.description'))}</h3>
+                            <p class="text-sm sm:text-base text-gray-700 dark:text-gray-300 leading-relaxed">${escapeHtml(project.description)}</p>
+                        </section>
+                        <section>
+                            <h3 class="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">${escapeHtml(t('detail.type'))}</h3>
+                            <ul class="space-y-1">
+                                ${project.types.map(type => `
+                                    <li class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                                        <span class="text-brand-navy dark:text-brand-gold">${this.getProjectIcon(type)}</span>
+                                        ${escapeHtml(this.getTypeDescription(type))}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </section>
+                        <section>
+                            <h3 class="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">${escapeHtml(t('detail.technologies'))}</h3>
+                            <div class="flex flex-wrap gap-2">
+                                ${project.technologies.map((tech, i) => `
+                                    <button type="button"
+                                            data-action="filter-technology"
+                                            data-technology="${escapeHtml(project.technologyKeys[i])}"
+                                            title="${escapeHtml(t('project.technology.showAll', { technology: tech }))}"
+                                            class="px-3 py-1.5 ${this.getTechnologyChipClasses(project.technologyKeys[i])} text-sm font-medium rounded-full border border-brand-gold transition-colors">
+                                        ${escapeHtml(tech)}
+                                    </button>
+                                `).join('')}
+                            </div>
+                        </section>
+                        <section>
+                            <h3 class="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">${escapeHtml(t('detail.license'))}</h3>
+                            <div class="space-y-1">${this.renderLicense(project)}</div>
+                            ${project.licenseInfo
+                                ? `<p class="text-xs text-gray-500 dark:text-gray-400 mt-2">${project.licenseInfo.families.map(f => this.getLicenseFamilyLabel(f)).join(', ')}</p>`
+                                : ''}
+                        </section>
+                        ${this.renderStatusDetail(project)}
+                        ${this.renderRepository(project)}
+                        ${project.href ? `<div class="pt-2">
+                            <a href="${escapeHtml(project.href)}" target="_blank" rel="noopener noreferrer" class="inline-flex items-center gap-2 px-4 py-2 bg-brand-gold text-white text-sm font-medium rounded-lg hover:bg-opacity-90 transition-colors">
+                                ${escapeHtml(t('detail.visit', { name: project.name }))}
+                                <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"/>
+                                </svg>
+                            </a>
+                            <p class="text-xs text-gray-500 dark:text-gray-400 mt-2 break-all">${escapeHtml(project.href)}</p>
+                        </div>` : ''}
+                    </div>
+                </article>
+            </div>
+        `;
+    }
+
+    // The project's status, where it comes from, and what its activity says
+    // (deriveStatus in src/statuses.js)
+    renderStatusDetail(project) {
+        const derived = project.derivedStatus;
+        const notes = [t(`lifecycle.${project.statusSource || 'unknown'}`)];
+        if (derived) {
+            if (project.statusSource === 'explicit' && derived.key !== project.status) {
+                notes.push(t('lifecycle.suggests', { status: this.getStatusLabel(derived.key) }));
+            }
+            notes.push(...this.describeDerivation(derived));
         }
+        return `
+            <section>
+                <h3 class="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">${escapeHtml(t('detail.status'))}</h3>
+                <div class="flex flex-wrap items-center gap-2">
+                    ${this.renderStatusBadge(project.status)}
+                    <span class="text-sm text-gray-700 dark:text-gray-300">${escapeHtml(this.getStatusDescription(project.status))}</span>
+                </div>
+                <p class="text-xs text-gray-500 dark:text-gray-400 mt-2">${notes.map(escapeHtml).join(' ')}</p>
+            </section>
+        `;
+    }
+
+    // The last activity and the threshold that decided a derived status
+    describeDerivation({ rule, lastActivity, months, now, thresholds }) {
+        const { maintenanceMonths, dormantMonths, incubatingYears } = thresholds;
+        const params = {
+            archived: {},
+            dormant: { count: dormantMonths },
+            maintenance: { count: maintenanceMonths },
+            incubating: { year: String(now.getUTCFullYear() - incubatingYears) },
+            active: { count: maintenanceMonths }
+        };
+        return [
+            lastActivity && t('lifecycle.lastActivity', { date: formatDate(lastActivity), count: months }),
+            t(`lifecycle.rule.${rule}`, params[rule])
+        ].filter(Boolean);
+    }
+
+    // Repository link and the metadata cached by the enrichment command
+    // (src/enrichment.js), when the project has either
+    renderRepository(project) {
+        const repositoryUrl = safeUrl(project.forge?.repository || project.repository);
+        const forge = project.forge;
+        if (!repositoryUrl && !forge) return '';
+        const forgeLabel = forge && (FORGE_LABELS[forge.source] || forge.source);
+        const releaseUrl = safeUrl(forge?.release?.url);
+        const release = forge?.release
+            ? `${releaseUrl
+                ? `<a href="${escapeHtml(releaseUrl)}" target="_blank" rel="noopener noreferrer" class="text-brand-gold hover:underline">${escapeHtml(forge.release.name)}</a>`
+                : escapeHtml(forge.release.name)}${forge.release.date ? ` <span class="text-gray-500 dark:text-gray-400">(${escapeHtml(formatDate(forge.release.date))})</span>` : ''}`
+            : escapeHtml(t('detail.noRelease'));
+        const stats = forge ? [
+            [t('detail.lastCommit'), forge.lastCommit ? escapeHtml(formatDate(forge.lastCommit)) : '–'],
+            [t('detail.contributors'), forge.contributors != null ? escapeHtml(formatNumber(forge.contributors)) : '–'],
+            ...(forge.stars != null ? [[t('detail.stars'), escapeHtml(formatNumber(forge.stars))]] : []),
+            [t('detail.release'), release]
+        ] : [];
+        return `
+            <section>
+                <h3 class="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">${escapeHtml(t('detail.repository'))}</h3>
+                ${forge?.archived
+                    ? `<p class="mb-2"><span class="px-2 py-0.5 bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200 text-xs font-medium rounded-full">${escapeHtml(t('detail.archived', { forge: forgeLabel }))}</span></p>`
+                    : ''}
+                ${stats.length > 0 ? `<dl class="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                    ${stats.map(([label, value]) => `
+                        <div>
+                            <dt class="text-xs text-gray-500 dark:text-gray-400">${escapeHtml(label)}</dt>
+                            <dd class="text-sm text-gray-700 dark:text-gray-300">${value}</dd>
+                        </div>
+                    `).join('')}
+                </dl>` : ''}
+                ${repositoryUrl
+                    ? `<p class="text-sm mt-3"><a href="${escapeHtml(repositoryUrl)}" target="_blank" rel="noopener noreferrer" class="text-brand-gold hover:underline break-all">${escapeHtml(t('detail.viewRepository'))}</a></p>`
+                    : ''}
+                ${forge
+                    ? `<p class="text-xs text-gray-500 dark:text-gray-400 mt-2">${escapeHtml(t('detail.forgeSource', { forge: forgeLabel, date: formatDate(forge.fetched) }))}</p>`
+                    : ''}
+            </section>
+        `;
     }
 
     setupSortHandlers() {
@@ -109,6 +558,7 @@ class LibreLinker {
                         this.ltcOnTop = null;
                     }
                     this.updateSortIndicators();
+                    this.syncStateToUrl();
                     this.render();
                     return;
                 }
@@ -133,37 +583,678 @@ class LibreLinker {
                     }
                 }
                 this.updateSortIndicators();
+                this.syncStateToUrl();
                 this.render();
             });
         });
     }
 
     setupFilterHandlers() {
-        const filterButtons = document.querySelectorAll('[data-filter-type]');
-        filterButtons.forEach(button => {
-            // Check if button is already active on page load (has active styling)
-            if (button.classList.contains('bg-brand-gold')) {
-                const type = button.getAttribute('data-filter-type');
-                this.activeFilters.add(type);
-            }
-            
+        this.renderStatusFilterButtons();
+
+        // Sets are looked up on every click because restoreStateFromUrl replaces them
+        const filterGroups = [
+            { attribute: 'data-filter-type', getActive: () => this.activeFilters },
+            { attribute: 'data-filter-license', getActive: () => this.activeLicenseFamilies },
+            { attribute: 'data-filter-status', getActive: () => this.activeStatuses }
+        ];
+        filterGroups.forEach(({ attribute, getActive }) => {
+            document.querySelectorAll(`[${attribute}]`).forEach(button => {
+                // Check if button is already active on page load (has active styling)
+                if (button.classList.contains('bg-brand-gold')) {
+                    getActive().add(button.getAttribute(attribute));
+                }
+
+                if (attribute === 'data-filter-type') {
+                    // The result count goes next to the (translated) label
+                    const count = document.createElement('span');
+                    count.setAttribute('data-filter-count', '');
+                    count.className = 'text-[10px] sm:text-xs opacity-70 tabular-nums';
+                    button.appendChild(count);
+                }
+                
+                button.addEventListener('click', () => {
+                    const value = button.getAttribute(attribute);
+                    if (attribute === 'data-filter-type') {
+                        // Don't let a filter lead to an empty list (see renderTypeFilterCounts)
+                        if (button.getAttribute('aria-disabled') === 'true') return;
+                        this.cycleTypeFilter(value);
+                    } else {
+                        const activeSet = getActive();
+                        if (activeSet.has(value)) {
+                            activeSet.delete(value);
+                        } else {
+                            activeSet.add(value);
+                            // Turn off LTC Supported filter when any other filter is applied
+                            this.ltcOnTop = null;
+                        }
+                    }
+                    this.updateFilterButtons();
+                    this.updateSortIndicators();
+                    this.syncStateToUrl();
+                    this.render();
+                });
+            });
+        });
+
+        document.querySelectorAll('[data-type-mode]').forEach(button => {
             button.addEventListener('click', () => {
-                const type = button.getAttribute('data-filter-type');
-                if (this.activeFilters.has(type)) {
-                    this.activeFilters.delete(type);
-                    button.classList.remove('bg-brand-gold', 'text-brand-navy');
-                    button.classList.add('bg-gray-100', 'text-gray-700', 'dark:bg-gray-700', 'dark:text-gray-200', 'dark:hover:bg-gray-600');
-                } else {
-                    this.activeFilters.add(type);
-                    button.classList.remove('bg-gray-100', 'text-gray-700', 'dark:bg-gray-700', 'dark:text-gray-200', 'dark:hover:bg-gray-600');
-                    button.classList.add('bg-brand-gold', 'text-brand-navy');
-                    // Turn off LTC Supported filter when any other filter is applied
+                const mode = button.getAttribute('data-type-mode');
+                if (mode === this.typeFilterMode) return;
+                this.typeFilterMode = mode;
+                this.updateFilterButtons();
+                this.syncStateToUrl();
+                this.render();
+            });
+        });
+        this.updateFilterButtons();
+    }
+
+    renderStatusFilterButtons() {
+        const container = document.getElementById('status-filters');
+        if (!container) return;
+        // Marked up for translateDocument so a language change relabels them in place
+        container.innerHTML = STATUSES.map(status => `
+            <button data-filter-status="${escapeHtml(status.key)}" title="${escapeHtml(this.getStatusDescription(status.key))}" data-i18n-attr="title:status.${escapeHtml(status.key)}.description" class="px-2 sm:px-3 py-1 sm:py-1.5 rounded-lg text-xs sm:text-sm font-medium transition-colors bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600">
+                <span data-i18n="status.${escapeHtml(status.key)}">${escapeHtml(this.getStatusLabel(status.key))}</span>
+            </button>
+        `).join('');
+    }
+
+    setupYearRange() {
+        const inputs = [document.getElementById('year-from'), document.getElementById('year-to')];
+        if (inputs.some(input => !input)) return;
+
+        this.updateYearBounds();
+
+        // `change` rather than `input` so a half-typed year doesn't filter
+        inputs.forEach(input => {
+            input.addEventListener('change', () => {
+                const parse = value => (/^\d{4}$/.test(value.trim()) ? Number(value) : null);
+                let from = parse(inputs[0].value);
+                let to = parse(inputs[1].value);
+                if (from !== null && to !== null && from > to) {
+                    [from, to] = [to, from];
+                }
+                this.setYearRange({ from, to });
+            });
+        });
+    }
+
+    // Limit the year inputs to the years the projects started in
+    updateYearBounds() {
+        const inputs = [document.getElementById('year-from'), document.getElementById('year-to')];
+        const years = this.projects.map(p => p.yearStarted);
+        if (inputs.some(input => !input) || years.length === 0) return;
+
+        inputs.forEach(input => {
+            input.min = Math.min(...years);
+            input.max = Math.max(...years);
+        });
+        inputs[0].placeholder = String(Math.min(...years));
+        inputs[1].placeholder = String(Math.max(...years));
+    }
+
+    setYearRange(yearRange) {
+        const wasSet = hasYearRange(this.yearRange);
+        this.yearRange = yearRange;
+        // Turn off LTC Supported filter when any other filter is applied
+        if (!wasSet && hasYearRange(yearRange)) {
+            this.ltcOnTop = null;
+        }
+        this.updateYearInputs();
+        this.updateSortIndicators();
+        this.syncStateToUrl();
+        this.render();
+    }
+
+    updateYearInputs() {
+        const from = document.getElementById('year-from');
+        const to = document.getElementById('year-to');
+        if (from) from.value = this.yearRange.from ?? '';
+        if (to) to.value = this.yearRange.to ?? '';
+    }
+
+    getYearRangeLabel({ from, to }) {
+        if (from !== null && from === to) return t('filters.year.in', { year: String(from) });
+        if (from !== null && to !== null) return t('filters.year.between', { from: String(from), to: String(to) });
+        if (from !== null) return t('filters.year.since', { from: String(from) });
+        return t('filters.year.until', { to: String(to) });
+    }
+
+    hasActiveFilters() {
+        return this.activeFilters.size > 0 || this.excludedTypes.size > 0 ||
+            this.activeLicenseFamilies.size > 0 || this.activeTechnologies.size > 0 ||
+            this.activeStatuses.size > 0 || hasYearRange(this.yearRange);
+    }
+
+    // Type buttons cycle off -> include -> exclude -> off
+    cycleTypeFilter(type) {
+        if (this.activeFilters.has(type)) {
+            this.activeFilters.delete(type);
+            this.excludedTypes.add(type);
+        } else if (this.excludedTypes.has(type)) {
+            this.excludedTypes.delete(type);
+        } else {
+            this.activeFilters.add(type);
+            // Turn off LTC Supported filter when any other filter is applied
+            this.ltcOnTop = null;
+        }
+    }
+
+    getTypeFilter() {
+        return { include: this.activeFilters, exclude: this.excludedTypes, mode: this.typeFilterMode };
+    }
+
+    // The type filter after clicking a type's button once (see cycleTypeFilter)
+    getNextTypeFilter(type) {
+        const include = new Set(this.activeFilters);
+        const exclude = new Set(this.excludedTypes);
+        if (include.has(type)) {
+            include.delete(type);
+            exclude.add(type);
+        } else if (exclude.has(type)) {
+            exclude.delete(type);
+        } else {
+            include.add(type);
+        }
+        return { include, exclude, mode: this.typeFilterMode };
+    }
+
+    // Show on each type button how many projects clicking it would leave, and
+    // disable buttons that would add a filter matching nothing. Active buttons
+    // always stay clickable so a filter can be removed.
+    renderTypeFilterCounts() {
+        document.querySelectorAll('[data-filter-type]').forEach(button => {
+            const type = button.getAttribute('data-filter-type');
+            const state = this.getTypeFilterState(type);
+            const count = this.getFilteredProjects({ typeFilter: this.getNextTypeFilter(type) }).length;
+            const disabled = state === 'off' && count === 0;
+            const params = { type: this.getTypeLabel(type), projects: t('count.projects', { count }) };
+
+            const countElement = button.querySelector('[data-filter-count]');
+            if (countElement) countElement.textContent = state === 'off' ? `(${formatNumber(count)})` : '';
+            button.setAttribute('aria-disabled', disabled ? 'true' : 'false');
+            button.classList.toggle('opacity-50', disabled);
+            button.classList.toggle('cursor-not-allowed', disabled);
+
+            button.title = t(disabled ? 'filters.typeButton.unavailable' : `filters.typeButton.${state}`, params);
+        });
+    }
+
+    getTypeFilterState(type) {
+        if (this.activeFilters.has(type)) return 'include';
+        if (this.excludedTypes.has(type)) return 'exclude';
+        return 'off';
+    }
+
+    getTypeLabel(type) {
+        return getType(type) ? t(`type.${type}`) : type;
+    }
+
+    getStatusLabel(status) {
+        if (!status) return t('status.unknown');
+        return getStatus(status) ? t(`status.${status}`) : status;
+    }
+
+    getStatusDescription(status) {
+        return getStatus(status) ? t(`status.${status}.description`) : '';
+    }
+
+    setupActiveFilterBar() {
+        document.getElementById('active-filter-chips')?.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-remove-filter]');
+            if (chip) this.removeFilter(chip.getAttribute('data-remove-filter'));
+        });
+        document.getElementById('reset-filters')?.addEventListener('click', () => this.resetAllFilters());
+    }
+
+    // Chips for everything narrowing or ordering the list. Each chip's token is
+    // "<kind>:<value>" and is handled by removeFilter.
+    getActiveFilterChips() {
+        const chips = [];
+        if (this.searchQuery.trim()) {
+            chips.push({ token: 'query:', label: `“${this.searchQuery.trim()}”` });
+        }
+        this.activeFilters.forEach(type => chips.push({ token: `type:${type}`, label: this.getTypeLabel(type) }));
+        this.excludedTypes.forEach(type => chips.push({ token: `exclude:${type}`, label: t('filters.chip.exclude', { type: this.getTypeLabel(type) }), excluded: true }));
+        this.activeLicenseFamilies.forEach(family => chips.push({ token: `license:${family}`, label: this.getLicenseFamilyLabel(family) }));
+        this.activeTechnologies.forEach(key => chips.push({ token: `tech:${key}`, label: this.technologyLabels.get(key) || key }));
+        this.activeStatuses.forEach(status => chips.push({ token: `status:${status}`, label: this.getStatusLabel(status) }));
+        if (hasYearRange(this.yearRange)) {
+            chips.push({ token: 'year:', label: this.getYearRangeLabel(this.yearRange) });
+        }
+        if (this.sortState.length > 0) {
+            const columns = this.sortState.map(({ column, direction }) => `${this.getSortColumnLabel(column)} ${direction === 'asc' ? '↑' : '↓'}`);
+            chips.push({ token: 'sort:', label: t('filters.chip.sort', { columns: formatList(columns) }) });
+        }
+        return chips;
+    }
+
+    renderActiveFilterBar() {
+        const bar = document.getElementById('active-filter-bar');
+        const container = document.getElementById('active-filter-chips');
+        if (!bar || !container) return;
+
+        const chips = this.getActiveFilterChips();
+        bar.classList.toggle('hidden', chips.length === 0);
+        container.innerHTML = chips.map(({ token, label, excluded }) => `
+            <button type="button" data-remove-filter="${escapeHtml(token)}" aria-label="${escapeHtml(t('filters.chip.remove', { label }))}"
+                    class="inline-flex items-center gap-1 px-2 sm:px-3 py-1 rounded-full text-xs sm:text-sm font-medium transition-colors ${excluded
+                        ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+                        : 'bg-brand-gold bg-opacity-20 text-brand-navy dark:text-brand-gold'} hover:bg-opacity-40">
+                ${escapeHtml(label)}
+                <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                </svg>
+            </button>
+        `).join('');
+    }
+
+    removeFilter(token) {
+        const separator = token.indexOf(':');
+        const kind = token.slice(0, separator);
+        const value = token.slice(separator + 1);
+        switch (kind) {
+            case 'query':
+                this.clearSearchInput();
+                break;
+            case 'type':
+                this.activeFilters.delete(value);
+                break;
+            case 'exclude':
+                this.excludedTypes.delete(value);
+                break;
+            case 'license':
+                this.activeLicenseFamilies.delete(value);
+                break;
+            case 'tech':
+                this.activeTechnologies.delete(value);
+                break;
+            case 'status':
+                this.activeStatuses.delete(value);
+                break;
+            case 'year':
+                this.yearRange = { from: null, to: null };
+                this.updateYearInputs();
+                break;
+            case 'sort':
+                this.sortState = [];
+                this.hasUserSorted = false;
+                break;
+        }
+        this.updateFilterButtons();
+        this.updateSortIndicators();
+        this.syncStateToUrl();
+        this.render();
+    }
+
+    // Back to the initial view: no search, filters or column sorts, LTC projects on top
+    resetAllFilters() {
+        this.clearSearchInput();
+        this.activeFilters = new Set();
+        this.excludedTypes = new Set();
+        this.typeFilterMode = 'and';
+        this.activeLicenseFamilies = new Set();
+        this.activeTechnologies = new Set();
+        this.activeStatuses = new Set();
+        this.yearRange = { from: null, to: null };
+        this.updateYearInputs();
+        this.sortState = [];
+        this.hasUserSorted = false;
+        this.ltcOnTop = true;
+        this.updateFilterButtons();
+        this.updateSortIndicators();
+        this.syncStateToUrl();
+        this.render();
+    }
+
+    clearSearchInput() {
+        this.setSearchQuery('');
+        const input = document.getElementById('project-search');
+        if (input) input.value = '';
+    }
+
+    renderTypeFilterSummary() {
+        const summary = document.getElementById('type-filter-summary');
+        if (!summary) return;
+        const expression = describeTypeFilter(this.getTypeFilter(), type => this.getTypeLabel(type), {
+            and: t('filters.operator.and'),
+            or: t('filters.operator.or'),
+            not: t('filters.operator.not')
+        });
+        summary.classList.toggle('hidden', !expression);
+        summary.innerHTML = expression
+            ? `${escapeHtml(t('filters.typeSummary'))} <span class="font-medium text-brand-navy dark:text-brand-gold">${escapeHtml(expression)}</span>`
+            : '';
+    }
+
+    setupSearch() {
+        const input = document.getElementById('project-search');
+        if (!input) return;
+
+        let debounceTimer = null;
+        input.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => {
+                const hadQuery = Boolean(this.searchQuery.trim());
+                this.setSearchQuery(input.value);
+                // Starting a search turns off LTC grouping, like the other filters
+                if (!hadQuery && this.searchQuery.trim()) {
                     this.ltcOnTop = null;
                 }
                 this.updateSortIndicators();
+                // Replace rather than push so each keystroke isn't a history entry
+                this.syncStateToUrl({ push: false });
+                this.render();
+            }, 150);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && input.value) {
+                e.stopPropagation();
+                input.value = '';
+                input.dispatchEvent(new Event('input'));
+            }
+        });
+    }
+
+    setSearchQuery(query) {
+        this.searchQuery = query;
+        const results = this.searchIndex?.search(query);
+        this.searchResults = results
+            ? new Map(results.map(({ project, score, highlights }) => [project, { score, highlights }]))
+            : null;
+    }
+
+    // Search highlight ranges for one field of a project (empty when not searching)
+    getSearchHighlights(project, field) {
+        return this.searchResults?.get(project)?.highlights[field] || [];
+    }
+
+    // Project text with search matches wrapped in <mark>
+    highlight(project, field, text = project[field], ranges = this.getSearchHighlights(project, field)) {
+        if (!this.searchResults) return escapeHtml(text);
+        return highlightText(text, ranges, 'bg-brand-gold bg-opacity-40 text-current rounded-sm');
+    }
+
+    // Technologies with search matches first, paired with their key and highlight ranges
+    getDisplayTechnologies(project) {
+        const ranges = this.getSearchHighlights(project, 'technologies');
+        const technologies = project.technologies.map((tech, i) => ({ tech, key: project.technologyKeys[i], ranges: ranges[i] || [] }));
+        if (!this.searchResults) return technologies;
+        return [
+            ...technologies.filter(t => t.ranges.length > 0),
+            ...technologies.filter(t => t.ranges.length === 0)
+        ];
+    }
+
+    // Sync filter button styling with the type, mode and license filter state
+    updateFilterButtons() {
+        document.querySelectorAll('[data-filter-type]').forEach(button => {
+            this.setTypeButtonState(button, this.getTypeFilterState(button.getAttribute('data-filter-type')));
+        });
+        document.querySelectorAll('[data-type-mode]').forEach(button => {
+            const isActive = button.getAttribute('data-type-mode') === this.typeFilterMode;
+            const inactiveClasses = ['bg-white', 'text-gray-700', 'hover:bg-gray-100', 'dark:bg-gray-800', 'dark:text-gray-200', 'dark:hover:bg-gray-700'];
+            const activeClasses = ['bg-brand-navy', 'text-white', 'dark:bg-brand-gold', 'dark:text-brand-navy'];
+            button.classList.remove(...(isActive ? inactiveClasses : activeClasses));
+            button.classList.add(...(isActive ? activeClasses : inactiveClasses));
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+        document.querySelectorAll('[data-filter-license]').forEach(button => {
+            this.setFilterButtonActive(button, this.activeLicenseFamilies.has(button.getAttribute('data-filter-license')));
+        });
+        document.querySelectorAll('[data-filter-status]').forEach(button => {
+            this.setFilterButtonActive(button, this.activeStatuses.has(button.getAttribute('data-filter-status')));
+        });
+    }
+
+    setFilterButtonActive(button, isActive) {
+        const inactiveClasses = ['bg-gray-100', 'text-gray-700', 'dark:bg-gray-700', 'dark:text-gray-200', 'dark:hover:bg-gray-600'];
+        const activeClasses = ['bg-brand-gold', 'text-brand-navy'];
+        button.classList.remove(...(isActive ? inactiveClasses : activeClasses));
+        button.classList.add(...(isActive ? activeClasses : inactiveClasses));
+        button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    }
+
+    setTypeButtonState(button, state) {
+        const excludedClasses = ['bg-red-100', 'text-red-800', 'dark:bg-red-900', 'dark:text-red-200', 'line-through'];
+        this.setFilterButtonActive(button, state === 'include');
+        if (state === 'exclude') {
+            button.classList.remove('bg-gray-100', 'text-gray-700', 'dark:bg-gray-700', 'dark:text-gray-200');
+            button.classList.add(...excludedClasses);
+        } else {
+            button.classList.remove(...excludedClasses);
+        }
+        // The title describing the state is set by renderTypeFilterCounts
+        button.setAttribute('data-filter-state', state);
+    }
+
+    setupTechnologyFacets() {
+        const toggle = document.getElementById('technology-facet-toggle');
+        const panel = document.getElementById('technology-facets');
+        const search = document.getElementById('technology-facet-search');
+        if (!toggle || !panel) return;
+
+        toggle.addEventListener('click', () => {
+            const expanded = toggle.getAttribute('aria-expanded') !== 'true';
+            toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+            toggle.querySelector('svg')?.classList.toggle('rotate-180', expanded);
+            panel.classList.toggle('hidden', !expanded);
+            if (expanded) search?.focus();
+        });
+
+        search?.addEventListener('input', () => {
+            this.technologyFacetQuery = search.value;
+            this.renderTechnologyFacets();
+        });
+
+        // Facet buttons are re-rendered on every change, so listen on the list
+        document.getElementById('technology-facet-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-technology]');
+            if (button) this.toggleTechnologyFilter(button.dataset.technology);
+        });
+    }
+
+    toggleTechnologyFilter(key) {
+        if (this.activeTechnologies.has(key)) {
+            this.activeTechnologies.delete(key);
+        } else {
+            this.activeTechnologies.add(key);
+            // Turn off LTC Supported filter when any other filter is applied
+            this.ltcOnTop = null;
+        }
+        this.updateSortIndicators();
+        this.syncStateToUrl();
+        this.render();
+    }
+
+    // Used by the popup and detail view: always adds the filter and returns to the list
+    filterByTechnology(key) {
+        this.closeDialogs();
+        if (!this.activeTechnologies.has(key)) {
+            this.activeTechnologies.add(key);
+            this.ltcOnTop = null;
+        }
+        if (this.currentRoute.view === 'project') {
+            this.syncStateToUrl({ hash: '#/' });
+            this.handleRoute();
+        } else {
+            this.syncStateToUrl();
+        }
+        this.updateSortIndicators();
+        this.render();
+    }
+
+    getTechnologyChipClasses(key) {
+        return this.activeTechnologies.has(key)
+            ? 'bg-brand-gold text-brand-navy'
+            : 'bg-brand-gold bg-opacity-10 dark:bg-opacity-20 text-brand-navy dark:text-brand-gold border-opacity-20 hover:bg-opacity-30';
+    }
+
+    // Facet counts reflect the other active filters, so they show how many
+    // results selecting a technology would leave
+    renderTechnologyFacets() {
+        const list = document.getElementById('technology-facet-list');
+        if (!list) return;
+
+        const facets = buildTechnologyFacets(this.getFilteredProjects(), this.projects);
+
+        const query = technologyKey(this.technologyFacetQuery);
+        const shown = facets
+            .filter(f => !query || f.key.includes(query) || technologyKey(f.label).includes(query))
+            .sort((a, b) => this.activeTechnologies.has(b.key) - this.activeTechnologies.has(a.key));
+
+        if (shown.length === 0) {
+            list.innerHTML = `<p class="text-xs sm:text-sm text-gray-500 dark:text-gray-400">${escapeHtml(t('filters.technology.none'))}</p>`;
+            return;
+        }
+        list.innerHTML = shown.map(({ key, label, count }) => {
+            const isActive = this.activeTechnologies.has(key);
+            return `
+                <button type="button" data-technology="${escapeHtml(key)}" aria-pressed="${isActive}"
+                        class="px-2 py-1 rounded-full text-xs font-medium border border-brand-gold transition-colors ${this.getTechnologyChipClasses(key)} ${count === 0 && !isActive ? 'opacity-50' : ''}">
+                    ${escapeHtml(label)} <span class="${isActive ? '' : 'text-gray-500 dark:text-gray-400'}">(${formatNumber(count)})</span>
+                </button>
+            `;
+        }).join('');
+    }
+
+    // Saved choice, otherwise cards on phone-sized screens (below Tailwind's sm breakpoint)
+    getInitialLayout() {
+        const savedLayout = localStorage.getItem('layout');
+        if (savedLayout === 'table' || savedLayout === 'cards') {
+            return savedLayout;
+        }
+        return window.matchMedia('(max-width: 639px)').matches ? 'cards' : 'table';
+    }
+
+    setupLayoutToggle() {
+        document.querySelectorAll('[data-layout]').forEach(button => {
+            button.addEventListener('click', () => {
+                const layout = button.getAttribute('data-layout');
+                if (layout === this.layout) return;
+                this.layout = layout;
+                localStorage.setItem('layout', layout);
                 this.render();
             });
         });
+
+        const cardSort = document.getElementById('card-sort');
+        cardSort?.addEventListener('change', () => {
+            const [column, direction] = cardSort.value.split(':');
+            this.sortState = column ? [{ column, direction }] : [];
+            this.hasUserSorted = this.sortState.length > 0;
+            this.syncStateToUrl();
+            this.render();
+        });
+    }
+
+    // Show the active layout and sync the toggle buttons and card sort menu
+    applyLayout() {
+        const isCards = this.layout === 'cards';
+        document.getElementById('projects-table-container')?.classList.toggle('hidden', isCards);
+        document.getElementById('projects-cards')?.classList.toggle('hidden', !isCards);
+        document.getElementById('card-sort-bar')?.classList.toggle('hidden', !isCards);
+
+        document.querySelectorAll('[data-layout]').forEach(button => {
+            const isActive = button.getAttribute('data-layout') === this.layout;
+            const inactiveClasses = ['bg-white', 'text-gray-700', 'hover:bg-gray-100', 'dark:bg-gray-800', 'dark:text-gray-200', 'dark:hover:bg-gray-700'];
+            const activeClasses = ['bg-brand-navy', 'text-white', 'dark:bg-brand-gold', 'dark:text-brand-navy'];
+            button.classList.remove(...(isActive ? inactiveClasses : activeClasses));
+            button.classList.add(...(isActive ? activeClasses : inactiveClasses));
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+
+        // Cards have no column headers, so the menu stands in for single-column sorts
+        const cardSort = document.getElementById('card-sort');
+        if (cardSort) {
+            const [sort] = this.sortState;
+            const value = this.sortState.length === 1 ? `${sort.column}:${sort.direction}` : '';
+            const hasOption = Array.from(cardSort.options).some(option => option.value === value);
+            cardSort.value = this.sortState.length > 1 || !hasOption ? 'custom' : value;
+        }
+    }
+
+    // Menu button listing the export formats; arrow keys move between them, Escape closes
+    setupExportMenu() {
+        const toggle = document.getElementById('export-toggle');
+        const menu = document.getElementById('export-menu');
+        if (!toggle || !menu) return;
+
+        menu.innerHTML = Object.entries(EXPORT_FORMATS).map(([format, { label, extension }]) => `
+            <button type="button" role="menuitem" tabindex="-1" data-export-format="${format}"
+                    class="block w-full text-left px-3 py-1.5 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 focus:bg-gray-100 dark:focus:bg-gray-700 focus:outline-none">
+                ${escapeHtml(label)} <span class="text-xs text-gray-500 dark:text-gray-400">.${extension}</span>
+            </button>
+        `).join('');
+        const items = Array.from(menu.querySelectorAll('[role="menuitem"]'));
+
+        const setOpen = (open, { focusItem = 0 } = {}) => {
+            toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+            menu.classList.toggle('hidden', !open);
+            if (open) items.at(focusItem)?.focus();
+        };
+
+        toggle.addEventListener('click', () => setOpen(toggle.getAttribute('aria-expanded') !== 'true'));
+        toggle.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                setOpen(true, { focusItem: e.key === 'ArrowDown' ? 0 : -1 });
+            }
+        });
+
+        menu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-export-format]');
+            if (!item) return;
+            this.exportView(item.dataset.exportFormat);
+            setOpen(false);
+            toggle.focus();
+        });
+        menu.addEventListener('keydown', (e) => {
+            const index = items.indexOf(document.activeElement);
+            switch (e.key) {
+                case 'ArrowDown': items[(index + 1) % items.length].focus(); break;
+                case 'ArrowUp': items.at(index - 1).focus(); break;
+                case 'Home': items[0].focus(); break;
+                case 'End': items.at(-1).focus(); break;
+                case 'Escape':
+                    setOpen(false);
+                    toggle.focus();
+                    break;
+                case 'Tab':
+                    setOpen(false);
+                    return;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!toggle.contains(e.target) && !menu.contains(e.target)) setOpen(false);
+        });
+    }
+
+    // Download the projects currently shown (filters and sort order applied)
+    exportView(format) {
+        const { serialize, extension, mimeType } = EXPORT_FORMATS[format];
+        const content = serialize(this.sortProjects(), { getTypeLabel: type => this.getTypeLabel(type) });
+        const date = new Date().toISOString().slice(0, 10);
+        this.downloadFile(`librelinker-projects-${date}.${extension}`, content, `${mimeType};charset=utf-8`);
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoking right away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     setupPinchZoom() {
@@ -238,24 +1329,91 @@ class LibreLinker {
         });
     }
 
-    getFilteredProjects() {
-        if (this.activeFilters.size === 0) {
-            return this.projects;
+    // `typeFilter` overrides the current type filter, for previewing result counts
+    getFilteredProjects({ typeFilter = this.getTypeFilter() } = {}) {
+        let projects = filterProjects(this.projects, {
+            typeFilter,
+            licenses: this.activeLicenseFamilies,
+            statuses: this.activeStatuses,
+            yearRange: this.yearRange,
+            technologies: this.activeTechnologies
+        });
+        if (this.searchResults) {
+            // Search: keep only matches, best first
+            projects = projects
+                .filter(project => this.searchResults.has(project))
+                .sort((a, b) => this.searchResults.get(b).score - this.searchResults.get(a).score);
         }
-        // AND logic: project must have ALL selected filter types
-        return this.projects.filter(project => 
-            Array.from(this.activeFilters).every(filterType => 
-                project.types.includes(filterType)
-            )
-        );
+        return projects;
+    }
+
+    // The column's header text
+    getSortColumnLabel(column) {
+        return t(`column.${column}`);
+    }
+
+    // The column that decides the order first: LTC grouping when it's on, otherwise the first sort
+    getPrimarySortColumn() {
+        if (this.ltcOnTop !== null) return 'ltcSupported';
+        return this.sortState[0]?.column || null;
+    }
+
+    // One sentence describing the current order, for the live region
+    describeSort() {
+        const parts = this.sortState.map(({ column, direction }) =>
+            t(direction === 'asc' ? 'sort.ascending' : 'sort.descending', { column: this.getSortColumnLabel(column) }));
+        let description = parts.length > 0
+            ? t('sort.by', { columns: parts.join(t('sort.then')) })
+            : t(this.searchResults ? 'sort.relevance' : 'sort.default');
+        if (this.ltcOnTop === true) description += ` ${t('sort.ltcFirst')}`;
+        if (this.ltcOnTop === false) description += ` ${t('sort.ltcLast')}`;
+        return description;
+    }
+
+    announceSort(message) {
+        const announcer = document.getElementById('sort-announcer');
+        if (!announcer) return;
+        // Clear first so repeating the same message is still announced
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 50);
     }
 
     updateSortIndicators() {
         const headers = document.querySelectorAll('th[data-sort]');
+        const primaryColumn = this.getPrimarySortColumn();
+        // Sort keys in the order they apply, LTC grouping first
+        const sortKeys = [
+            ...(this.ltcOnTop !== null ? ['ltcSupported'] : []),
+            ...this.sortState.map(s => s.column)
+        ];
         headers.forEach(header => {
             const icon = header.querySelector('.sort-icon');
             const column = header.getAttribute('data-sort');
             if (!icon) return;
+
+            // aria-sort belongs on one header at a time; lower-priority sorts are
+            // described in the header button instead
+            const state = this.sortState.find(s => s.column === column);
+            let ariaSort = null;
+            if (column === 'ltcSupported' && this.ltcOnTop !== null) {
+                // LTC on top puts the "yes" values first
+                ariaSort = this.ltcOnTop ? 'descending' : 'ascending';
+            } else if (state) {
+                ariaSort = state.direction === 'asc' ? 'ascending' : 'descending';
+            }
+            if (column === primaryColumn && ariaSort) {
+                header.setAttribute('aria-sort', ariaSort);
+            } else {
+                header.removeAttribute('aria-sort');
+            }
+            const description = header.querySelector('.sort-description');
+            if (description) {
+                description.textContent = column !== primaryColumn && ariaSort
+                    ? t(`sort.priority.${ariaSort}`, { priority: sortKeys.indexOf(column) + 1 })
+                    : '';
+            }
             
             // Special handling for ltcSupported column - three states
             if (column === 'ltcSupported') {
@@ -277,7 +1435,6 @@ class LibreLinker {
             }
             
             // Regular sort indicators for other columns
-            const state = this.sortState.find(s => s.column === column);
             if (state) {
                 icon.innerHTML = state.direction === 'asc'
                     ? '<svg class="inline w-3 h-3 align-middle" viewBox="0 0 16 16" fill="currentColor"><path d="M8 1l3 3H5l3-3z"/></svg>'
@@ -289,102 +1446,155 @@ class LibreLinker {
                 icon.classList.add('opacity-30');
             }
         });
-    }
 
-    sortProjects() {
-        const filteredProjects = this.getFilteredProjects();
-        
-        // If ltcOnTop is null (off), don't separate LTC projects
-        if (this.ltcOnTop === null) {
-            // Apply sorting to all projects together
-            if (this.hasUserSorted && this.sortState.length > 0) {
-                const sortFn = (a, b) => {
-                    for (const { column, direction } of this.sortState) {
-                        let aVal = a[column];
-                        let bVal = b[column];
-
-                        // Special handling for license arrays
-                        if (column === 'license') {
-                            aVal = Array.isArray(aVal) ? aVal[0] : aVal;
-                            bVal = Array.isArray(bVal) ? bVal[0] : bVal;
-                        }
+        // Announce changes, but not the initial order on page load
+        const announcement = this.describeSort();
+        if (this.sortAnnouncement !== null && announcement !== this.sortAnnouncement) {
+            this.announceSort(announcement);
+        }
+        this.sortAnnouncement = announcement;
+    }
 
-                        // Normalize values
-                        const aIsString = typeof aVal === 'string';
-                        const bIsString = typeof bVal === 'string';
-                        if (aIsString) aVal = aVal.toLowerCase();
-                        if (bIsString) bVal = bVal.toLowerCase();
+    // Rendered rows, cards and the detail view mark their controls with data-action
+    // instead of inline handlers, so project data never ends up in JavaScript
+    setupActions() {
+        const containers = ['projects-tbody', 'projects-cards', 'project-detail']
+            .map(id => document.getElementById(id))
+            .filter(Boolean);
+
+        containers.forEach(container => {
+            container.addEventListener('click', (e) => this.handleAction(e));
+            // Image load errors don't bubble, so catch them on the way down
+            container.addEventListener('error', (e) => this.handleLogoError(e), true);
+            // mouseenter/mouseleave don't bubble, so track entering and leaving type icons here
+            container.addEventListener('mouseover', (e) => {
+                const icon = e.target.closest('[data-action="type-tooltip"]');
+                if (icon && !icon.contains(e.relatedTarget)) this.showTooltip(icon, icon.dataset.type);
+            });
+            container.addEventListener('mouseout', (e) => {
+                const icon = e.target.closest('[data-action="type-tooltip"]');
+                if (icon && !icon.contains(e.relatedTarget)) this.hideTooltip();
+            });
+        });
+    }
 
-                        let cmp = 0;
-                        if (aIsString && bIsString) {
-                            cmp = aVal.localeCompare(bVal);
-                        } else {
-                            if (aVal > bVal) cmp = 1;
-                            else if (aVal < bVal) cmp = -1;
-                            else cmp = 0;
-                        }
+    handleAction(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target || !e.currentTarget.contains(target)) return;
+        const slug = target.closest('[data-slug]')?.dataset.slug;
+        const project = slug ? this.projects.find(p => p.slug === slug) : null;
+
+        switch (target.dataset.action) {
+            case 'show-description':
+                if (project) this.showDescriptionPopup(project.name, project.description);
+                break;
+            case 'show-technologies':
+                if (project) this.showTechnologiesPopup(project.name, project.technologies);
+                break;
+            case 'toggle-technology':
+                this.toggleTechnologyFilter(target.dataset.technology);
+                break;
+            case 'filter-technology':
+                this.filterByTechnology(target.dataset.technology);
+                break;
+            case 'type-tooltip':
+                this.showTooltip(target, target.dataset.type, true);
+                break;
+            case 'reset-filters':
+                this.resetAllFilters();
+                break;
+            case 'retry-load':
+                this.retryLoadProjects(target);
+                break;
+        }
+    }
 
-                        if (cmp !== 0) {
-                            return direction === 'asc' ? cmp : -cmp;
+    // Arrow-key navigation between table cells with a roving tabindex: only one
+    // cell is in the tab order, and the arrow keys move it.
+    setupTableNavigation() {
+        const tbody = document.getElementById('projects-tbody');
+        if (!tbody) return;
+
+        tbody.addEventListener('keydown', (e) => {
+            const cell = e.target.closest('td');
+            if (!cell || e.altKey || e.metaKey || e.shiftKey) return;
+            const rows = Array.from(tbody.rows);
+            let row = rows.indexOf(cell.parentElement);
+            let col = cell.cellIndex;
+            const lastRow = rows.length - 1;
+            const lastCol = cell.parentElement.cells.length - 1;
+
+            switch (e.key) {
+                case 'ArrowUp': row = Math.max(0, row - 1); break;
+                case 'ArrowDown': row = Math.min(lastRow, row + 1); break;
+                case 'ArrowLeft': col = Math.max(0, col - 1); break;
+                case 'ArrowRight': col = Math.min(lastCol, col + 1); break;
+                case 'Home':
+                    if (e.ctrlKey) row = 0;
+                    col = 0;
+                    break;
+                case 'End':
+                    if (e.ctrlKey) row = lastRow;
+                    col = lastCol;
+                    break;
+                case 'Enter':
+                    // Enter on a cell moves into its first link or button
+                    if (e.target === cell) {
+                        const control = cell.querySelector('a, button, [data-action]');
+                        if (control) {
+                            e.preventDefault();
+                            control.focus();
+                            if (!control.matches('a, button')) control.click();
                         }
                     }
-                    return 0;
-                };
-                return [...filteredProjects].sort(sortFn);
+                    return;
+                default:
+                    return;
             }
-            // No sorting, return as-is (randomized)
-            return filteredProjects;
-        }
-        
-        // Separate LTC and non-LTC projects
-        let ltcProjects = filteredProjects.filter(p => p.ltcSupported === true);
-        let nonLtcProjects = filteredProjects.filter(p => p.ltcSupported !== true);
-        
-        // Apply sorting to each group independently if user has sorted
-        if (this.hasUserSorted && this.sortState.length > 0) {
-            const sortFn = (a, b) => {
-                for (const { column, direction } of this.sortState) {
-                    let aVal = a[column];
-                    let bVal = b[column];
-
-                    // Special handling for license arrays
-                    if (column === 'license') {
-                        aVal = Array.isArray(aVal) ? aVal[0] : aVal;
-                        bVal = Array.isArray(bVal) ? bVal[0] : bVal;
-                    }
+            e.preventDefault();
+            this.focusCell(row, col);
+        });
 
-                    // Normalize values
-                    const aIsString = typeof aVal === 'string';
-                    const bIsString = typeof bVal === 'string';
-                    if (aIsString) aVal = aVal.toLowerCase();
-                    if (bIsString) bVal = bVal.toLowerCase();
+        // Keep the roving position in sync when a cell (or something in it) is clicked or tabbed to
+        tbody.addEventListener('focusin', (e) => {
+            const cell = e.target.closest('td');
+            if (!cell || !cell.parentElement.cells.length || cell.parentElement.cells.length === 1) return;
+            this.activeCell = { row: Array.from(tbody.rows).indexOf(cell.parentElement), col: cell.cellIndex };
+            this.updateCellTabStops();
+        });
+    }
 
-                    let cmp = 0;
-                    if (aIsString && bIsString) {
-                        cmp = aVal.localeCompare(bVal);
-                    } else {
-                        if (aVal > bVal) cmp = 1;
-                        else if (aVal < bVal) cmp = -1;
-                        else cmp = 0;
-                    }
+    focusCell(row, col) {
+        this.activeCell = { row, col };
+        this.updateCellTabStops()?.focus();
+    }
 
-                    if (cmp !== 0) {
-                        return direction === 'asc' ? cmp : -cmp;
-                    }
-                }
-                return 0;
-            };
-            
-            ltcProjects = [...ltcProjects].sort(sortFn);
-            nonLtcProjects = [...nonLtcProjects].sort(sortFn);
-        }
-        
-        // Return with LTC on top or bottom based on ltcOnTop state
-        if (this.ltcOnTop === true) {
-            return [...ltcProjects, ...nonLtcProjects];
-        } else {
-            return [...nonLtcProjects, ...ltcProjects];
-        }
+    // Make only the active cell tabbable; returns it
+    updateCellTabStops() {
+        const tbody = document.getElementById('projects-tbody');
+        const rows = Array.from(tbody?.rows || []);
+        // Message rows (no results) aren't navigable
+        if (rows.length === 0 || rows[0].cells.length === 1) return null;
+
+        const row = Math.min(this.activeCell.row, rows.length - 1);
+        const col = Math.min(this.activeCell.col, rows[row].cells.length - 1);
+        let activeCell = null;
+        rows.forEach((tr, r) => {
+            Array.from(tr.cells).forEach((td, c) => {
+                const isActive = r === row && c === col;
+                td.tabIndex = isActive ? 0 : -1;
+                if (isActive) activeCell = td;
+            });
+        });
+        return activeCell;
+    }
+
+    sortProjects() {
+        // Until a column is picked, keep the (randomized or search-ranked) order
+        return sortProjects(this.getFilteredProjects(), {
+            sort: this.hasUserSorted ? this.sortState : [],
+            ltcOnTop: this.ltcOnTop
+        });
     }
 
     getProjectIcon(type) {
@@ -423,21 +1633,10 @@ class LibreLinker {
     }
 
     getTypeDescription(type) {
-        const descriptions = {
-            'ai': 'Artificial Intelligence & Machine Learning project',
-            'academic': 'Academic or educational project',
-            'research': 'Research & development project',
-            'hardware': 'Hardware, HPC, or low-level systems project',
-            'web': 'Web application or online service',
-            'mobile': 'Mobile application project',
-            'enterprise': 'Enterprise-scale or large organization project',
-            'plugin': 'Plugin or extension for existing software',
-            'just-for-fun': 'Fun, experimental, or hobby project'
-        };
-        return descriptions[type] || 'Project type';
+        return t(getType(type) ? `type.${type}.description` : 'type.unknown.description');
     }
 
-    showTooltip(event, type, isMobileClick = false) {
+    showTooltip(iconElement, type, isMobileClick = false) {
         // On touch devices, only respond to explicit clicks, not hover
         if (this.isTouchDevice && !isMobileClick) {
             return;
@@ -467,41 +1666,18 @@ class LibreLinker {
         tooltip.dataset.type = type;
         tooltip.dataset.isMobile = isMobileClick;
         
-        const rect = event.currentTarget.getBoundingClientRect();
-        tooltip.style.cssText = `
-            position: fixed;
-            left: ${rect.left + rect.width / 2}px;
-            top: ${rect.top - 40}px;
-            transform: translateX(-50%);
-            background: rgba(0, 48, 87, 0.95);
-            color: white;
-            padding: 6px 12px;
-            border-radius: 6px;
-            font-size: 12px;
-            white-space: nowrap;
-            z-index: 1000;
-            pointer-events: ${isMobileClick ? 'auto' : 'none'};
-            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.2);
-        `;
+        // Styled by .icon-tooltip in index.html; only the position is set here
+        const rect = iconElement.getBoundingClientRect();
+        tooltip.style.left = `${rect.left + rect.width / 2}px`;
+        tooltip.style.top = `${rect.top - 40}px`;
 
         const arrow = document.createElement('div');
-        arrow.style.cssText = `
-            position: absolute;
-            bottom: -4px;
-            left: 50%;
-            transform: translateX(-50%);
-            width: 0;
-            height: 0;
-            border-left: 6px solid transparent;
-            border-right: 6px solid transparent;
-            border-top: 6px solid rgba(0, 48, 87, 0.95);
-        `;
+        arrow.className = 'icon-tooltip-arrow';
         tooltip.appendChild(arrow);
 
         document.body.appendChild(tooltip);
 
         // Update position as user scrolls (for both mobile and desktop)
-        const iconElement = event.currentTarget;
         const updatePosition = () => {
             const currentRect = iconElement.getBoundingClientRect();
             tooltip.style.left = `${currentRect.left + currentRect.width / 2}px`;
@@ -531,173 +1707,286 @@ class LibreLinker {
     }
 
     showDescriptionPopup(projectName, description) {
-        // Remove any existing popup
-        this.closeDescriptionPopup();
-
-        // Create overlay
-        const overlay = document.createElement('div');
-        overlay.id = 'description-overlay';
-        overlay.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
-        overlay.onclick = (e) => {
-            if (e.target === overlay) {
-                this.closeDescriptionPopup();
-            }
-        };
+        openDialog({
+            title: projectName,
+            body: `
+                <div class="p-4 sm:p-6">
+                    <p class="text-sm sm:text-base text-gray-700 dark:text-gray-300 leading-relaxed">${escapeHtml(description)}</p>
+                </div>
+            `
+        });
+    }
 
-        // Create popup
-        const popup = document.createElement('div');
-        popup.className = 'bg-white dark:bg-gray-800 rounded-lg shadow-2xl max-w-2xl w-full max-h-[80vh] overflow-y-auto';
-        popup.innerHTML = `
-            <div class="sticky top-0 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 p-4 sm:p-6 flex items-start justify-between">
-                <h3 class="text-lg sm:text-xl font-bold text-brand-navy dark:text-brand-gold pr-4">${projectName}</h3>
-                <button 
-                    onclick="window.libreLinker.closeDescriptionPopup()"
-                    class="flex-shrink-0 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
-                    aria-label="Close">
-                    <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
-                    </svg>
-                </button>
-            </div>
-            <div class="p-4 sm:p-6">
-                <p class="text-sm sm:text-base text-gray-700 dark:text-gray-300 leading-relaxed">${description}</p>
-            </div>
-        `;
+    showTechnologiesPopup(projectName, technologies) {
+        const project = this.projects.find(p => p.name === projectName);
+        const { panel } = openDialog({
+            title: t('project.technologiesTitle', { name: projectName }),
+            body: `
+                <div class="p-4 sm:p-6">
+                    <div class="flex flex-wrap gap-2">
+                        ${technologies.map((tech, i) => `
+                            <button type="button"
+                                    data-action="filter-technology"
+                                    data-technology="${escapeHtml(project ? project.technologyKeys[i] : technologyKey(tech))}"
+                                    title="${escapeHtml(t('project.technology.showAll', { technology: tech }))}"
+                                    class="px-3 py-1.5 ${this.getTechnologyChipClasses(project ? project.technologyKeys[i] : technologyKey(tech))} text-sm font-medium rounded-full border border-brand-gold transition-colors">
+                                ${escapeHtml(tech)}
+                            </button>
+                        `).join('')}
+                    </div>
+                    <p class="text-xs text-gray-500 dark:text-gray-400 mt-4">${escapeHtml(t('project.technologiesHint'))}</p>
+                </div>
+            `
+        });
+        panel.addEventListener('click', (e) => this.handleAction(e));
+    }
 
-        overlay.appendChild(popup);
-        document.body.appendChild(overlay);
+    closeDialogs() {
+        closeAllDialogs();
+    }
 
-        // Prevent body scroll when popup is open
-        document.body.style.overflow = 'hidden';
+    getLicenseFamilyLabel(family) {
+        return t(LICENSE_FAMILIES.some(f => f.key === family) ? `licenseFamily.${family}` : 'licenseFamily.unknown');
     }
 
-    closeDescriptionPopup() {
-        const overlay = document.getElementById('description-overlay');
-        if (overlay) {
-            overlay.remove();
-            document.body.style.overflow = '';
+    // Render a parsed SPDX expression tree with each license linked to the FSF directory
+    renderLicenseNode(node, parentConjunction = null) {
+        if (node.conjunction) {
+            const inner = `${this.renderLicenseNode(node.left, node.conjunction)}
+                <span class="text-[10px] uppercase text-gray-500 dark:text-gray-400">${node.conjunction}</span>
+                ${this.renderLicenseNode(node.right, node.conjunction)}`;
+            return parentConjunction && parentConjunction !== node.conjunction ? `(${inner})` : inner;
         }
+        const id = node.plus ? `${node.license}+` : node.license;
+        return `<a href="${escapeHtml(getFsfDirectoryUrl(id))}" 
+                   target="_blank" 
+                   rel="noopener noreferrer" 
+                   title="${escapeHtml(this.getLicenseFamilyLabel(getLicenseFamily(node.license, node.exception)))}"
+                   class="text-xs sm:text-sm text-brand-gold hover:underline font-medium">${escapeHtml(getLicenseLabel(id))}</a>${node.exception
+                    ? ` <span class="text-[10px] text-gray-500 dark:text-gray-400">${escapeHtml(t('license.exception', { exception: node.exception }))}</span>`
+                    : ''}`;
     }
 
-    showTechnologiesPopup(projectName, technologies) {
-        // Remove any existing popup
-        this.closeDescriptionPopup();
-
-        // Create overlay
-        const overlay = document.createElement('div');
-        overlay.id = 'description-overlay';
-        overlay.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
-        overlay.onclick = (e) => {
-            if (e.target === overlay) {
-                this.closeDescriptionPopup();
-            }
-        };
+    renderLicense(project) {
+        if (!project.licenseInfo) {
+            const licenses = Array.isArray(project.license) ? project.license : [project.license];
+            return licenses.map(lic => `<span class="text-xs sm:text-sm text-gray-700 dark:text-gray-300 block">${escapeHtml(lic)}</span>`).join('');
+        }
+        return project.licenseInfo.expressions
+            .map(({ tree }) => `<div class="leading-tight">${this.renderLicenseNode(tree)}</div>`)
+            .join('');
+    }
 
-        // Create popup
-        const popup = document.createElement('div');
-        popup.className = 'bg-white dark:bg-gray-800 rounded-lg shadow-2xl max-w-2xl w-full max-h-[80vh] overflow-y-auto';
-        popup.innerHTML = `
-            <div class="sticky top-0 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 p-4 sm:p-6 flex items-start justify-between">
-                <h3 class="text-lg sm:text-xl font-bold text-brand-navy dark:text-brand-gold pr-4">${projectName} - Technologies</h3>
-                <button 
-                    onclick="window.libreLinker.closeDescriptionPopup()"
-                    class="flex-shrink-0 text-gray-400 hover:text-gray-600 transition-colors"
-                    aria-label="Close">
-                    <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
-                    </svg>
-                </button>
-            </div>
-            <div class="p-4 sm:p-6">
-                <div class="flex flex-wrap gap-2">
-                    ${technologies.map(tech => `
-                        <span class="px-3 py-1.5 bg-brand-gold bg-opacity-10 dark:bg-opacity-20 text-brand-navy dark:text-brand-gold text-sm font-medium rounded-full border border-brand-gold border-opacity-20">
-                            ${tech}
-                        </span>
-                    `).join('')}
-                </div>
-            </div>
+    renderStatusBadge(status) {
+        return `<span title="${escapeHtml(this.getStatusDescription(status))}" class="px-2 sm:px-3 py-0.5 sm:py-1 ${getStatusBadgeClass(status)} text-[10px] sm:text-xs font-medium rounded-full whitespace-nowrap">
+                        ${escapeHtml(this.getStatusLabel(status))}
+                    </span>`;
+    }
+
+    // Suggest loosening whichever filters are actually narrowing the list
+    getEmptyStateHint() {
+        const suggestions = [];
+        if (this.searchResults) suggestions.push('search');
+        if (this.activeFilters.size > 0 || this.excludedTypes.size > 0) suggestions.push('types');
+        if (this.activeLicenseFamilies.size > 0) suggestions.push('licenses');
+        if (this.activeTechnologies.size > 0) suggestions.push('technologies');
+        if (this.activeStatuses.size > 0) suggestions.push('statuses');
+        if (hasYearRange(this.yearRange)) suggestions.push('years');
+        if (suggestions.length === 0) return t('empty.tryRemoving');
+        return t('empty.try', {
+            suggestions: formatList(suggestions.map(suggestion => t(`empty.suggestion.${suggestion}`)), { type: 'disjunction' })
+        });
+    }
+
+    // The project's logo in a tile sized for `view` (see LOGO_TILES), or its
+    // generated avatar when it has no logo or the logo couldn't be loaded
+    renderLogoTile(project, view) {
+        const { tile, image, size, sizes, lazy } = LOGO_TILES[view];
+        const attributes = `data-logo-tile="${view}" data-slug="${escapeHtml(project.slug)}"`;
+        const alt = escapeHtml(t('project.logoAlt', { name: project.name }));
+        if (!project.logo || this.brokenLogos.has(project.logo)) {
+            return `<div ${attributes} class="${tile} rounded overflow-hidden">
+                <img src="${getAvatarUrl(project)}" alt="${alt}" class="w-full h-full" width="${size}" height="${size}">
+            </div>`;
+        }
+        const sources = getLogoSources(project.logo, sizes);
+        return `<div ${attributes} class="${tile} rounded bg-gray-100 dark:bg-white border-2 border-brand-gold flex items-center justify-center">
+            <img src="${escapeHtml(sources.src)}" srcset="${escapeHtml(sources.srcset)}" sizes="${sources.sizes}" data-logo="${escapeHtml(project.logo)}"
+                 alt="${alt}" class="${image} object-contain"${lazy ? ' loading="lazy"' : ''} width="${size}" height="${size}">
+        </div>`;
+    }
+
+    // A logo failed to load (missing, or not reachable offline): swap its tile
+    // for the avatar, and don't try that logo again on later renders
+    handleLogoError(e) {
+        const image = e.target;
+        if (!(image instanceof HTMLImageElement) || !image.dataset.logo) return;
+        const tile = image.closest('[data-logo-tile]');
+        const project = this.projects.find(p => p.slug === tile?.dataset.slug);
+        this.brokenLogos.add(image.dataset.logo);
+        if (tile && project) {
+            tile.outerHTML = this.renderLogoTile(project, tile.dataset.logoTile);
+        }
+    }
+
+    // Wrap `content` in a link to the project's site, or a plain span when its URL isn't http(s)
+    renderProjectSiteLink(project, content) {
+        if (!project.href) {
+            return `<span class="flex-shrink-0">${content}</span>`;
+        }
+        return `<a href="${escapeHtml(project.href)}" target="_blank" rel="noopener noreferrer" class="flex-shrink-0" aria-label="${escapeHtml(t('project.open', { name: project.name }))}">
+                    ${content}
+                </a>`;
+    }
+
+    renderTypeIcons(project) {
+        return project.types.map(type => `
+            <span class="text-brand-navy dark:text-brand-gold hover:scale-110 transition-transform cursor-help" 
+                  data-action="type-tooltip" data-type="${escapeHtml(type)}">
+                ${this.getProjectIcon(type)}
+            </span>
+        `).join('');
+    }
+
+    // A technology chip that toggles its technology filter; takes an entry from getDisplayTechnologies
+    renderTechnologyChip(project, { tech, key, ranges }) {
+        return `
+            <button type="button"
+                    data-action="toggle-technology"
+                    data-technology="${escapeHtml(key)}"
+                    aria-pressed="${this.activeTechnologies.has(key)}"
+                    title="${escapeHtml(t(this.activeTechnologies.has(key) ? 'project.technology.remove' : 'project.technology.add', { technology: tech }))}"
+                    class="px-2 py-0.5 ${this.getTechnologyChipClasses(key)} text-[10px] sm:text-xs font-medium rounded-full border border-brand-gold whitespace-nowrap transition-colors">
+                ${this.highlight(project, 'technologies', tech, ranges)}
+            </button>
         `;
+    }
 
-        overlay.appendChild(popup);
-        document.body.appendChild(overlay);
+    renderProjectCard(project) {
+        return `
+            <li data-slug="${escapeHtml(project.slug)}" class="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-600 p-4 flex flex-col gap-3">
+                <div class="flex items-start gap-3">
+                    ${this.renderProjectSiteLink(project, this.renderLogoTile(project, 'card'))}
+                    <div class="min-w-0 flex-1">
+                        <h3 class="text-base font-semibold leading-snug">
+                            <a href="${this.getProjectLink(project)}" class="text-brand-navy dark:text-brand-gold hover:underline">${this.highlight(project, 'name')}</a>
+                        </h3>
+                        <div class="flex flex-wrap items-center gap-1.5 mt-1">
+                            ${this.renderStatusBadge(project.status)}
+                            <span class="text-xs text-gray-600 dark:text-gray-400">${escapeHtml(project.yearStarted)}</span>
+                            ${project.ltcSupported
+                                ? `<span class="px-2 py-0.5 bg-brand-navy text-white dark:bg-brand-gold dark:text-brand-navy text-[10px] font-medium rounded-full whitespace-nowrap">${escapeHtml(t('project.ltcSupported'))}</span>`
+                                : ''}
+                        </div>
+                    </div>
+                </div>
+                <p class="text-sm text-gray-700 dark:text-gray-300 line-clamp-3">${this.highlight(project, 'description')}</p>
+                <div class="flex flex-wrap gap-1.5">
+                    ${this.getDisplayTechnologies(project).slice(0, 3).map(technology => this.renderTechnologyChip(project, technology)).join('')}
+                    ${project.technologies.length > 3
+                        ? `<button type="button"
+                                   data-action="show-technologies"
+                                   aria-label="${escapeHtml(t('project.allTechnologies', { count: project.technologies.length }))}"
+                                   class="px-2 py-0.5 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 text-[10px] sm:text-xs font-medium rounded-full whitespace-nowrap">
+                                +${project.technologies.length - 3}
+                            </button>`
+                        : ''}
+                </div>
+                <div class="mt-auto pt-3 border-t border-gray-200 dark:border-gray-700 flex items-center justify-between gap-3">
+                    <div class="flex gap-2 flex-wrap">${this.renderTypeIcons(project)}</div>
+                    <div class="text-right">${this.renderLicense(project)}</div>
+                </div>
+            </li>
+        `;
+    }
 
-        // Prevent body scroll when popup is open
-        document.body.style.overflow = 'hidden';
+    // Re-render everything built from messages after the language changes;
+    // static markup is handled by translateDocument
+    applyLocale() {
+        // The sort order didn't change, so don't announce it in the new language
+        this.sortAnnouncement = null;
+        this.updateSortIndicators();
+        this.render();
+        if (this.currentRoute.view === 'project') {
+            this.showProjectDetail(this.currentRoute.slug);
+        } else {
+            document.title = t('meta.title');
+        }
     }
 
     render() {
         const tbody = document.getElementById('projects-tbody');
+        const cardList = document.getElementById('projects-cards');
+        this.applyLayout();
+        this.renderTechnologyFacets();
+        this.renderTypeFilterSummary();
+        this.renderTypeFilterCounts();
+        this.renderActiveFilterBar();
+
+        // Only the visible layout is rendered; switching layouts re-renders
+        const useCards = this.layout === 'cards' && cardList;
+        const container = useCards ? cardList : tbody;
+        const wrapMessage = (html, className) => (useCards
+            ? `<li class="col-span-full text-center ${className}">${html}</li>`
+            : `<tr><td colspan="8" class="text-center ${className}">${html}</td></tr>`);
+
+        if (this.loadError) {
+            container.innerHTML = wrapMessage(this.renderLoadError(), 'py-8');
+            return;
+        }
+
         if (!this.projects.length) {
-            tbody.innerHTML = `
-                <tr>
-                    <td colspan="8" class="text-center py-8 text-gray-500">
-                        No projects found. Add projects to projects.json to get started.
-                    </td>
-                </tr>
-            `;
+            container.innerHTML = wrapMessage(escapeHtml(t('empty.noProjects')), 'py-8 text-gray-500');
             return;
         }
 
         const sorted = this.sortProjects();
         
         if (sorted.length === 0) {
-            tbody.innerHTML = `
-                <tr>
-                    <td colspan="8" class="text-center py-16">
-                        <div class="text-6xl mb-4">☹️</div>
-                        <p class="text-gray-600 font-medium">No projects match your selected filters</p>
-                        <p class="text-gray-500 text-sm mt-2">Try selecting different project types</p>
-                    </td>
-                </tr>
-            `;
+            container.innerHTML = wrapMessage(`
+                <div class="text-6xl mb-4">☹️</div>
+                <p class="text-gray-600 font-medium">${escapeHtml(t('empty.noMatches'))}</p>
+                <p class="text-gray-500 text-sm mt-2">${escapeHtml(this.getEmptyStateHint())}</p>
+                <button type="button" data-action="reset-filters" class="mt-4 px-4 py-2 bg-brand-gold text-white text-sm font-medium rounded-lg hover:bg-opacity-90 transition-colors">
+                    ${escapeHtml(t('empty.reset'))}
+                </button>
+            `, 'py-16');
+            return;
+        }
+
+        if (useCards) {
+            cardList.innerHTML = sorted.map(project => this.renderProjectCard(project)).join('');
+            this.updateSortIndicators();
             return;
         }
+
         tbody.innerHTML = sorted.map(project => `
-            <tr class="border-b border-gray-200 dark:border-gray-700 hover:bg-brand-gold hover:bg-opacity-5 dark:hover:bg-opacity-10 transition-colors">
+            <tr data-slug="${escapeHtml(project.slug)}" class="border-b border-gray-200 dark:border-gray-700 hover:bg-brand-gold hover:bg-opacity-5 dark:hover:bg-opacity-10 transition-colors">
                 <td class="py-2 sm:py-3 px-2 sm:px-4">
                     <div class="flex items-center gap-2 sm:gap-3">
-                        <a href="${project.url}" target="_blank" rel="noopener noreferrer" class="flex-shrink-0" aria-label="Open ${project.name}">
-                            <div class="w-8 h-8 sm:w-12 sm:h-12 rounded ${project.logo ? 'bg-gray-100 dark:bg-white border-2 border-brand-gold' : 'bg-gradient-to-br from-brand-navy to-brand-gold dark:from-gray-700 dark:to-brand-gold'} flex items-center justify-center">
-                                ${project.logo 
-                                    ? `<img src="${project.logo}" alt="${project.name} logo" class="w-6 h-6 sm:w-10 sm:h-10 object-contain" loading="lazy" width="40" height="40">`
-                                    : `<span class="text-white font-bold text-sm sm:text-xl">${project.name.substring(0, 2).toUpperCase()}</span>`
-                                }
-                            </div>
-                        </a>
+                        ${this.renderProjectSiteLink(project, this.renderLogoTile(project, 'table'))}
                         <div class="min-w-0">
-                            <a href="${project.url}" target="_blank" rel="noopener noreferrer" class="text-sm sm:text-base font-semibold text-brand-navy dark:text-brand-gold hover:underline block truncate">
-                                ${project.name}
+                            <a href="${this.getProjectLink(project)}" class="text-sm sm:text-base font-semibold text-brand-navy dark:text-brand-gold hover:underline block truncate">
+                                ${this.highlight(project, 'name')}
                             </a>
                         </div>
                     </div>
                 </td>
                 <td class="py-2 sm:py-3 px-2 sm:px-4">
                     <div class="text-xs sm:text-sm text-gray-700 dark:text-gray-300 line-clamp-2 sm:line-clamp-3 cursor-pointer hover:text-brand-gold transition-colors" 
-                         onclick="window.libreLinker.showDescriptionPopup('${project.name}', \`${project.description.replace(/`/g, '\\`').replace(/\$/g, '\\$')}\`)">
-                        ${project.description}
+                         data-action="show-description">
+                        ${this.highlight(project, 'description')}
                     </div>
                 </td>
                 <td class="py-2 sm:py-3 px-2 sm:px-4">
                     <div class="flex gap-1 sm:gap-2 flex-wrap">
-                        ${project.types.map(type => `
-                            <span class="text-brand-navy dark:text-brand-gold hover:scale-110 transition-transform cursor-help" 
-                                  onclick="window.libreLinker.showTooltip(event, '${type}', true)"
-                                  onmouseenter="window.libreLinker.showTooltip(event, '${type}')"
-                                  onmouseleave="window.libreLinker.hideTooltip()">
-                                ${this.getProjectIcon(type)}
-                            </span>
-                        `).join('')}
+                        ${this.renderTypeIcons(project)}
                     </div>
                 </td>
                 <td class="py-2 sm:py-3 px-2 sm:px-4">
                     <div class="flex flex-wrap gap-1 sm:gap-1.5 cursor-pointer" 
-                         onclick="window.libreLinker.showTechnologiesPopup('${project.name}', ${JSON.stringify(project.technologies).replace(/"/g, '&quot;')})">
-                        ${project.technologies.slice(0, 2).map(tech => `
-                            <span class="px-2 py-0.5 bg-brand-gold bg-opacity-10 dark:bg-opacity-20 text-brand-navy dark:text-brand-gold text-[10px] sm:text-xs font-medium rounded-full border border-brand-gold border-opacity-20 whitespace-nowrap">
-                                ${tech}
-                            </span>
-                        `).join('')}
+                         data-action="show-technologies">
+                        ${this.getDisplayTechnologies(project).slice(0, 2).map(technology => this.renderTechnologyChip(project, technology)).join('')}
                         ${project.technologies.length > 2 ? 
                             `<span class="px-2 py-0.5 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 text-[10px] sm:text-xs font-medium rounded-full whitespace-nowrap">
                                 +${project.technologies.length - 2}
@@ -706,30 +1995,13 @@ class LibreLinker {
                     </div>
                 </td>
                 <td class="py-2 sm:py-3 px-2 sm:px-4 text-center">
-                    <span class="text-xs sm:text-sm text-gray-700 dark:text-gray-300 font-medium">${project.yearStarted}</span>
+                    <span class="text-xs sm:text-sm text-gray-700 dark:text-gray-300 font-medium">${escapeHtml(project.yearStarted)}</span>
                 </td>
                 <td class="py-2 sm:py-3 px-2 sm:px-4 text-center">
-                    ${Array.isArray(project.license) 
-                        ? project.license.map(lic => `
-                            <a href="https://directory.fsf.org/wiki/License:${lic.replace(/\s+/g, '')}" 
-                               target="_blank" 
-                               rel="noopener noreferrer" 
-                               class="text-xs sm:text-sm text-brand-gold hover:underline font-medium block">
-                                ${lic}
-                            </a>
-                        `).join('')
-                        : `<a href="https://directory.fsf.org/wiki/License:${project.license.replace(/\s+/g, '')}" 
-                             target="_blank" 
-                             rel="noopener noreferrer" 
-                             class="text-xs sm:text-sm text-brand-gold hover:underline font-medium">
-                            ${project.license}
-                        </a>`
-                    }
+                    ${this.renderLicense(project)}
                 </td>
                 <td class="py-2 sm:py-3 px-2 sm:px-4 text-center">
-                    <span class="px-2 sm:px-3 py-0.5 sm:py-1 ${project.status === 'Dormant' ? 'bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-200' : 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200'} text-[10px] sm:text-xs font-medium rounded-full whitespace-nowrap">
-                        ${project.status}
-                    </span>
+                    ${this.renderStatusBadge(project.status)}
                 </td>
                 <td class="py-2 sm:py-3 px-2 sm:px-4 text-center">
                     <span class="text-base sm:text-lg">${project.ltcSupported ? '✅' : '-'}</span>
@@ -739,25 +2011,42 @@ class LibreLinker {
         
         // Update sort indicators after rendering
         this.updateSortIndicators();
+        this.updateCellTabStops();
     }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
+    translateDocument();
     window.libreLinker = new LibreLinker();
-    
-    // Close description popup on Escape key
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && window.libreLinker) {
-            window.libreLinker.closeDescriptionPopup();
-        }
-    });
+
+    // Language switcher
+    const localeSelect = document.getElementById('locale-select');
+    if (localeSelect) {
+        localeSelect.innerHTML = LOCALES.map(({ code, name }) =>
+            `<option value="${code}" lang="${code}">${escapeHtml(name)}</option>`).join('');
+        localeSelect.value = getLocale();
+        localeSelect.addEventListener('change', () => {
+            setLocale(localeSelect.value, { save: true });
+            translateDocument();
+            window.libreLinker.applyLocale();
+        });
+    }
+
+    // Offline support and caching (src/service-worker.js); only built for production
+    if ('serviceWorker' in navigator && import.meta.env.PROD) {
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('service-worker.js').catch(error => {
+                console.error('Service worker registration failed:', error);
+            });
+        });
+    }
 
     // Close mobile tooltip when clicking outside
     document.addEventListener('click', (e) => {
         const tooltip = document.querySelector('.icon-tooltip');
         if (tooltip && tooltip.dataset.isMobile === 'true') {
             // Check if click is outside both the tooltip and any type icon
-            const isTypeIcon = e.target.closest('[onclick*="showTooltip"]');
+            const isTypeIcon = e.target.closest('[data-action="type-tooltip"]');
             if (!tooltip.contains(e.target) && !isTypeIcon) {
                 if (tooltip._scrollHandler) {
                     window.removeEventListener('scroll', tooltip._scrollHandler);
@@ -820,81 +2109,66 @@ document.addEventListener('DOMContentLoaded', () => {
     const infoToggle = document.getElementById('info-toggle');
     if (infoToggle) {
         infoToggle.addEventListener('click', () => {
-            const modal = document.createElement('div');
-            modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-end sm:items-center justify-center z-50';
-            modal.innerHTML = `
-            <div class="bg-white dark:bg-gray-800 rounded-t-2xl sm:rounded-2xl w-full sm:max-w-lg max-h-[80vh] overflow-y-auto">
-                <div class="sticky top-0 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 p-4 flex items-center justify-between">
-                    <h3 class="text-lg font-bold text-brand-navy dark:text-brand-gold">About LibreLinker</h3>
-                    <button onclick="this.closest('.fixed').remove()" class="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
-                        <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
-                        </svg>
-                    </button>
-                </div>
-                <div class="p-6">
-                    <p class="text-gray-700 dark:text-gray-300 text-sm leading-relaxed mb-4">
-                        A curated collection of innovative open projects spanning AI, chemistry, hardware, and beyond - all seeking contributors!
-                    </p>
-                    <p class="text-gray-700 dark:text-gray-300 text-sm leading-relaxed mb-4">
-                        All projects <a href="https://www.gnu.org/philosophy/free-sw.en.html" target="_blank" rel="noopener noreferrer" class="text-brand-gold hover:underline">respect your freedom</a> and are GPL-compatible. Most all are led by Georgia Tech students, faculty, and alumni.
-                    </p>
-                    <p class="text-gray-700 dark:text-gray-300 text-sm leading-relaxed mb-4">
-                        <a href="https://ltc.gtorg.gatech.edu/" target="_blank" rel="noopener noreferrer" class="text-brand-gold hover:underline font-medium">LibreTech Collective</a>, Georgia Tech's only Free & Open-Source club, invites you to explore, contribute, and make an impact!
-                    </p>
-                    <p class="text-[11px] text-gray-600 dark:text-gray-400 mb-4 text-center flex items-center justify-center gap-1 leading-none">
-                        <span>Built with ❤️ in Atlanta, Georgia</span>
-                        <a href="https://gatech.edu" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" aria-label="Visit Georgia Tech">
-                            <img class="inline-block h-4 w-auto" src="misc/img/us-flag.svg" alt="US Flag" style="vertical-align: middle;">
+            const { panel } = openDialog({
+                title: t('about.title'),
+                // Bottom sheet on phones, centered on larger screens
+                overlayClass: 'items-end sm:items-center',
+                panelClass: 'rounded-t-2xl sm:rounded-2xl w-full sm:max-w-lg max-h-[80vh]',
+                body: `
+            <div class="p-6">
+                <p class="text-gray-700 dark:text-gray-300 text-sm leading-relaxed mb-4" data-i18n="hero.intro"></p>
+                <p class="text-gray-700 dark:text-gray-300 text-sm leading-relaxed mb-4" data-i18n-html="about.freedom"></p>
+                <p class="text-gray-700 dark:text-gray-300 text-sm leading-relaxed mb-4" data-i18n-html="about.club"></p>
+                <p class="text-[11px] text-gray-600 dark:text-gray-400 mb-4 text-center flex items-center justify-center gap-1 leading-none">
+                    <span data-i18n="site.builtWith"></span>
+                    <a href="https://gatech.edu" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" data-i18n-attr="aria-label:site.visitGeorgiaTech">
+                        <img class="inline-block h-4 w-auto align-middle" src="misc/img/us-flag.svg" data-i18n-attr="alt:site.usFlag">
+                    </a>
+                </p>
+                <div class="border-t border-gray-200 dark:border-gray-700 pt-4">
+                    <p class="text-gray-600 dark:text-gray-400 text-xs mb-3" data-i18n="about.connect"></p>
+                    <div class="flex items-center gap-4 justify-center">
+                        <a href="https://github.com/LTC-GT" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" data-i18n-attr="aria-label:social.github">
+                            <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg">
+                                <path d="M8 0C3.58 0 0 3.58 0 8c0 3.54 2.29 6.53 5.47 7.59.4.07.55-.17.55-.38 0-.19-.01-.82-.01-1.49-2.01.37-2.53-.49-2.69-.94-.09-.23-.48-.94-.82-1.13-.28-.15-.68-.52-.01-.53.63-.01 1.08.58 1.23.82.72 1.21 1.87.87 2.33.66.07-.52.28-.87.51-1.07-1.78-.2-3.64-.89-3.64-3.95 0-.87.31-1.59.82-2.15-.08-.2-.36-1.02.08-2.12 0 0 .67-.21 2.2.82.64-.18 1.32-.27 2-.27.68 0 1.36.09 2 .27 1.53-1.04 2.2-.82 2.2-.82.44 1.1.16 1.92.08 2.12.51.56.82 1.27.82 2.15 0 3.07-1.87 3.75-3.65 3.95.29.25.54.73.54 1.48 0 1.07-.01 1.93-.01 2.2 0 .21.15.46.55.38A8.013 8.013 0 0016 8c0-4.42-3.58-8-8-8z"></path>
+                            </svg>
+                        </a>
+                        <a href="https://www.linkedin.com/company/gtltc" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" data-i18n-attr="aria-label:social.linkedin">
+                            <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg">
+                                <path d="M0 1.146C0 .513.526 0 1.175 0h13.65C15.474 0 16 .513 16 1.146v13.708c0 .633-.526 1.146-1.175 1.146H1.175C.526 16 0 15.487 0 14.854V1.146zm4.943 12.248V6.169H2.542v7.225h2.401zm-1.2-8.212c.837 0 1.358-.554 1.358-1.248-.015-.709-.52-1.248-1.342-1.248-.822 0-1.359.54-1.359 1.248 0 .694.521 1.248 1.327 1.248h.016zm4.908 8.212V9.359c0-.216.016-.432.08-.586.173-.431.568-.878 1.232-.878.869 0 1.216.662 1.216 1.634v3.865h2.401V9.25c0-2.22-1.184-3.252-2.764-3.252-1.274 0-1.845.7-2.165 1.193v.025h-.016a5.54 5.54 0 0 1 .016-.025V6.169h-2.4c.03.678 0 7.225 0 7.225h2.4z"></path>
+                            </svg>
+                        </a>
+                        <a href="https://www.instagram.com/libretechcollectivegt/" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" data-i18n-attr="aria-label:social.instagram">
+                            <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg">
+                                <path d="M8 0C5.829 0 5.556.01 4.703.048 3.85.088 3.269.222 2.76.42a3.917 3.917 0 0 0-1.417.923A3.927 3.927 0 0 0 .42 2.76C.222 3.268.087 3.85.048 4.7.01 5.555 0 5.827 0 8.001c0 2.172.01 2.444.048 3.297.04.852.174 1.433.372 1.942.205.526.478.972.923 1.417.444.445.89.719 1.416.923.51.198 1.09.333 1.942.372C5.555 15.99 5.827 16 8 16s2.444-.01 3.298-.048c.851-.04 1.434-.174 1.943-.372a3.916 3.916 0 0 0 1.416-.923c.445-.445.718-.891.923-1.417.197-.509.332-1.09.372-1.942C15.99 10.445 16 10.173 16 8s-.01-2.445-.048-3.299c-.04-.851-.175-1.433-.372-1.941a3.926 3.926 0 0 0-.923-1.417A3.911 3.911 0 0 0 13.24.42c-.51-.198-1.092-.333-1.943-.372C10.443.01 10.172 0 7.998 0h.003zm-.717 1.442h.718c2.136 0 2.389.007 3.232.046.78.035 1.204.166 1.486.275.373.145.64.319.92.599.28.28.453.546.598.92.11.281.24.705.275 1.485.039.843.047 1.096.047 3.231s-.008 2.389-.047 3.232c-.035.78-.166 1.203-.275 1.485a2.47 2.47 0 0 1-.599.919c-.28.28-.546.453-.92.598-.28.11-.704.24-1.485.276-.843.038-1.096.047-3.232.047s-2.39-.009-3.233-.047c-.78-.036-1.203-.166-1.485-.276a2.478 2.478 0 0 1-.92-.598 2.48 2.48 0 0 1-.6-.92c-.109-.281-.24-.705-.275-1.485-.038-.843-.046-1.096-.046-3.233 0-2.136.008-2.388.046-3.231.036-.78.166-1.204.276-1.486.145-.373.319-.64.599-.92.28-.28.546-.453.92-.598.282-.11.705-.24 1.485-.276.738-.034 1.024-.044 2.515-.045v.002zm4.988 1.328a.96.96 0 1 0 0 1.92.96.96 0 0 0 0-1.92zm-4.27 1.122a4.109 4.109 0 1 0 0 8.217 4.109 4.109 0 0 0 0-8.217zm0 1.441a2.667 2.667 0 1 1 0 5.334 2.667 2.667 0 0 1 0-5.334z"></path>
+                            </svg>
+                        </a>
+                        <a href="https://discord.gg/E6qgerDpTr" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" data-i18n-attr="aria-label:social.discord">
+                            <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg">
+                                <path d="M13.545 2.907a13.227 13.227 0 0 0-3.257-1.011.05.05 0 0 0-.052.025c-.141.25-.297.577-.406.833a12.19 12.19 0 0 0-3.658 0 8.258 8.258 0 0 0-.412-.833.051.051 0 0 0-.052-.025c-1.125.194-2.22.534-3.257 1.011a.041.041 0 0 0-.021.018C.356 6.024-.213 9.047.066 12.032c.001.014.01.028.021.037a13.276 13.276 0 0 0 3.995 2.02.05.05 0 0 0 .056-.019c.308-.42.582-.863.818-1.329a.05.05 0 0 0-.01-.059.051.051 0 0 0-.018-.011 8.875 8.875 0 0 1-1.248-.595.05.05 0 0 1-.02-.066.051.051 0 0 1 .015-.019c.084-.063.168-.129.248-.195a.05.05 0 0 1 .051-.007c2.619 1.196 5.454 1.196 8.041 0a.052.052 0 0 1 .053.007c.08.066.164.132.248.195a.051.051 0 0 1-.004.085 8.254 8.254 0 0 1-1.249.594.05.05 0 0 0-.03.03.052.052 0 0 0 .003.041c.24.465.515.909.817 1.329a.05.05 0 0 0 .056.019 13.235 13.235 0 0 0 4.001-2.02.049.049 0 0 0 .021-.037c.334-3.451-.559-6.449-2.366-9.106a.034.034 0 0 0-.02-.019Zm-8.198 7.307c-.789 0-1.438-.724-1.438-1.612 0-.889.637-1.613 1.438-1.613.807 0 1.45.73 1.438 1.613 0 .888-.637 1.612-1.438 1.612Zm5.316 0c-.788 0-1.438-.724-1.438-1.612 0-.889.637-1.613 1.438-1.613.807 0 1.451.73 1.438 1.613 0 .888-.631 1.612-1.438 1.612Z"></path>
+                            </svg>
+                        </a>
+                        <a href="https://mastodon.social/@libretechcollectivegt" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" data-i18n-attr="aria-label:social.mastodon">
+                            <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                                <path d="M11.19 12.195c2.016-.24 3.77-1.475 3.99-2.603.348-1.778.32-4.339.32-4.339 0-3.47-2.286-4.488-2.286-4.488C12.062.238 10.083.017 8.027 0h-.05C5.92.017 3.942.238 2.79.765c0 0-2.285 1.017-2.285 4.488l-.002.662c-.004.64-.007 1.35.011 2.091.083 3.394.626 6.74 3.78 7.57 1.454.383 2.703.463 3.709.408 1.823-.1 2.847-.647 2.847-.647l-.06-1.317s-1.303.41-2.767.36c-1.45-.05-2.98-.156-3.215-1.928a4 4 0 0 1-.033-.496s1.424.346 3.228.428c1.103.05 2.137-.064 3.188-.189zm1.613-2.47H11.13v-4.08c0-.859-.364-1.295-1.091-1.295-.804 0-1.207.517-1.207 1.541v2.233H7.168V5.89c0-1.024-.403-1.541-1.207-1.541-.727 0-1.091.436-1.091 1.296v4.079H3.197V5.522q0-1.288.66-2.046c.456-.505 1.052-.764 1.793-.764.856 0 1.504.328 1.933.983L8 4.39l.417-.695c.429-.655 1.077-.983 1.934-.983.74 0 1.336.259 1.791.764q.662.757.661 2.046z"></path>
+                            </svg>
+                        </a>
+                        <a href="https://bsky.app/profile/libretechgatech.bsky.social" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" data-i18n-attr="aria-label:social.bluesky">
+                            <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 600 530" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                                <path d="m135.72 44.03c66.496 49.921 138.02 151.14 164.28 205.46 26.262-54.316 97.782-155.54 164.28-205.46 47.98-36.021 125.72-63.892 125.72 24.795 0 17.712-10.155 148.79-16.111 170.07-20.703 73.984-96.144 92.854-163.25 81.433 117.3 19.964 147.14 86.092 82.697 152.22-122.39 125.59-175.91-31.511-189.63-71.766-2.514-7.3797-3.6904-10.832-3.7077-7.8964-0.0174-2.9357-1.1937 0.51669-3.7077 7.8964-13.714 40.255-67.233 197.36-189.63 71.766-64.444-66.128-34.605-132.26 82.697-152.22-67.108 11.421-142.55-7.4491-163.25-81.433-5.9562-21.282-16.111-152.36-16.111-170.07 0-88.687 77.742-60.816 125.72-24.795z"></path>
+                            </svg>
+                        </a>
+                        <a href="https://www.reddit.com/u/gtltc" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" data-i18n-attr="aria-label:social.reddit">
+                            <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 512 512" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                                <path d="M440.3 203.5c-15 0-28.8 6.2-38.8 16.2-37.1-25.4-86.1-41.9-140.3-43.4l29.7-93.9 80 18.9c0 22.6 18.3 41 40.9 41 22.6 0 40.9-18.4 40.9-40.9 0-22.6-18.3-40.9-40.9-40.9-16.1 0-30 9.4-36.6 22.9l-88.6-20.9c-6.2-1.5-12.6 2.1-14.6 8.1l-33.8 106.8c-55.2 1-105.1 17.5-142.8 43.3-9.9-9.8-23.4-15.8-38.2-15.8-30.3 0-54.9 24.6-54.9 54.9 0 22.2 13.2 41.4 32.2 50.1-1 5.2-1.5 10.5-1.5 15.9 0 78.3 91.1 141.8 203.3 141.8 112.3 0 203.3-63.5 203.3-141.8 0-5.2-.5-10.4-1.4-15.4 19.4-8.6 33-28 33-50.6 0-30.3-24.5-54.9-54.8-54.9zM129.5 287.8c0-22.6 18.3-40.9 40.9-40.9 22.6 0 40.9 18.3 40.9 40.9 0 22.6-18.3 40.9-40.9 40.9-22.6 0-40.9-18.3-40.9-40.9zm225.7 93.5c-21.4 21.3-62.5 31.7-99.2 31.7-36.7 0-77.8-10.4-99.2-31.7-4.7-4.7-4.7-12.3 0-17 4.7-4.7 12.3-4.7 17 0 14.9 14.9 48.2 24.7 82.2 24.7 34 0 67.3-9.8 82.2-24.7 4.7-4.7 12.3-4.7 17 0 4.7 4.7 4.7 12.3 0 17zm-13.6-52.6c-22.6 0-40.9-18.3-40.9-40.9 0-22.6 18.3-40.9 40.9-40.9 22.6 0 40.9 18.3 40.9 40.9 0 22.6-.631 40.9-40.9 40.9z"></path>
+                            </svg>
                         </a>
-                    </p>
-                    <div class="border-t border-gray-200 dark:border-gray-700 pt-4">
-                        <p class="text-gray-600 dark:text-gray-400 text-xs mb-3">Connect with us:</p>
-                        <div class="flex items-center gap-4 justify-center">
-                            <a href="https://github.com/LTC-GT" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" aria-label="View on GitHub">
-                                <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg">
-                                    <path d="M8 0C3.58 0 0 3.58 0 8c0 3.54 2.29 6.53 5.47 7.59.4.07.55-.17.55-.38 0-.19-.01-.82-.01-1.49-2.01.37-2.53-.49-2.69-.94-.09-.23-.48-.94-.82-1.13-.28-.15-.68-.52-.01-.53.63-.01 1.08.58 1.23.82.72 1.21 1.87.87 2.33.66.07-.52.28-.87.51-1.07-1.78-.2-3.64-.89-3.64-3.95 0-.87.31-1.59.82-2.15-.08-.2-.36-1.02.08-2.12 0 0 .67-.21 2.2.82.64-.18 1.32-.27 2-.27.68 0 1.36.09 2 .27 1.53-1.04 2.2-.82 2.2-.82.44 1.1.16 1.92.08 2.12.51.56.82 1.27.82 2.15 0 3.07-1.87 3.75-3.65 3.95.29.25.54.73.54 1.48 0 1.07-.01 1.93-.01 2.2 0 .21.15.46.55.38A8.013 8.013 0 0016 8c0-4.42-3.58-8-8-8z"></path>
-                                </svg>
-                            </a>
-                            <a href="https://www.linkedin.com/company/gtltc" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" aria-label="Visit our LinkedIn">
-                                <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg">
-                                    <path d="M0 1.146C0 .513.526 0 1.175 0h13.65C15.474 0 16 .513 16 1.146v13.708c0 .633-.526 1.146-1.175 1.146H1.175C.526 16 0 15.487 0 14.854V1.146zm4.943 12.248V6.169H2.542v7.225h2.401zm-1.2-8.212c.837 0 1.358-.554 1.358-1.248-.015-.709-.52-1.248-1.342-1.248-.822 0-1.359.54-1.359 1.248 0 .694.521 1.248 1.327 1.248h.016zm4.908 8.212V9.359c0-.216.016-.432.08-.586.173-.431.568-.878 1.232-.878.869 0 1.216.662 1.216 1.634v3.865h2.401V9.25c0-2.22-1.184-3.252-2.764-3.252-1.274 0-1.845.7-2.165 1.193v.025h-.016a5.54 5.54 0 0 1 .016-.025V6.169h-2.4c.03.678 0 7.225 0 7.225h2.4z"></path>
-                                </svg>
-                            </a>
-                            <a href="https://www.instagram.com/libretechcollectivegt/" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" aria-label="Follow us on Instagram">
-                                <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg">
-                                    <path d="M8 0C5.829 0 5.556.01 4.703.048 3.85.088 3.269.222 2.76.42a3.917 3.917 0 0 0-1.417.923A3.927 3.927 0 0 0 .42 2.76C.222 3.268.087 3.85.048 4.7.01 5.555 0 5.827 0 8.001c0 2.172.01 2.444.048 3.297.04.852.174 1.433.372 1.942.205.526.478.972.923 1.417.444.445.89.719 1.416.923.51.198 1.09.333 1.942.372C5.555 15.99 5.827 16 8 16s2.444-.01 3.298-.048c.851-.04 1.434-.174 1.943-.372a3.916 3.916 0 0 0 1.416-.923c.445-.445.718-.891.923-1.417.197-.509.332-1.09.372-1.942C15.99 10.445 16 10.173 16 8s-.01-2.445-.048-3.299c-.04-.851-.175-1.433-.372-1.941a3.926 3.926 0 0 0-.923-1.417A3.911 3.911 0 0 0 13.24.42c-.51-.198-1.092-.333-1.943-.372C10.443.01 10.172 0 7.998 0h.003zm-.717 1.442h.718c2.136 0 2.389.007 3.232.046.78.035 1.204.166 1.486.275.373.145.64.319.92.599.28.28.453.546.598.92.11.281.24.705.275 1.485.039.843.047 1.096.047 3.231s-.008 2.389-.047 3.232c-.035.78-.166 1.203-.275 1.485a2.47 2.47 0 0 1-.599.919c-.28.28-.546.453-.92.598-.28.11-.704.24-1.485.276-.843.038-1.096.047-3.232.047s-2.39-.009-3.233-.047c-.78-.036-1.203-.166-1.485-.276a2.478 2.478 0 0 1-.92-.598 2.48 2.48 0 0 1-.6-.92c-.109-.281-.24-.705-.275-1.485-.038-.843-.046-1.096-.046-3.233 0-2.136.008-2.388.046-3.231.036-.78.166-1.204.276-1.486.145-.373.319-.64.599-.92.28-.28.546-.453.92-.598.282-.11.705-.24 1.485-.276.738-.034 1.024-.044 2.515-.045v.002zm4.988 1.328a.96.96 0 1 0 0 1.92.96.96 0 0 0 0-1.92zm-4.27 1.122a4.109 4.109 0 1 0 0 8.217 4.109 4.109 0 0 0 0-8.217zm0 1.441a2.667 2.667 0 1 1 0 5.334 2.667 2.667 0 0 1 0-5.334z"></path>
-                                </svg>
-                            </a>
-                            <a href="https://discord.gg/E6qgerDpTr" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" aria-label="Join our Discord">
-                                <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg">
-                                    <path d="M13.545 2.907a13.227 13.227 0 0 0-3.257-1.011.05.05 0 0 0-.052.025c-.141.25-.297.577-.406.833a12.19 12.19 0 0 0-3.658 0 8.258 8.258 0 0 0-.412-.833.051.051 0 0 0-.052-.025c-1.125.194-2.22.534-3.257 1.011a.041.041 0 0 0-.021.018C.356 6.024-.213 9.047.066 12.032c.001.014.01.028.021.037a13.276 13.276 0 0 0 3.995 2.02.05.05 0 0 0 .056-.019c.308-.42.582-.863.818-1.329a.05.05 0 0 0-.01-.059.051.051 0 0 0-.018-.011 8.875 8.875 0 0 1-1.248-.595.05.05 0 0 1-.02-.066.051.051 0 0 1 .015-.019c.084-.063.168-.129.248-.195a.05.05 0 0 1 .051-.007c2.619 1.196 5.454 1.196 8.041 0a.052.052 0 0 1 .053.007c.08.066.164.132.248.195a.051.051 0 0 1-.004.085 8.254 8.254 0 0 1-1.249.594.05.05 0 0 0-.03.03.052.052 0 0 0 .003.041c.24.465.515.909.817 1.329a.05.05 0 0 0 .056.019 13.235 13.235 0 0 0 4.001-2.02.049.049 0 0 0 .021-.037c.334-3.451-.559-6.449-2.366-9.106a.034.034 0 0 0-.02-.019Zm-8.198 7.307c-.789 0-1.438-.724-1.438-1.612 0-.889.637-1.613 1.438-1.613.807 0 1.45.73 1.438 1.613 0 .888-.637 1.612-1.438 1.612Zm5.316 0c-.788 0-1.438-.724-1.438-1.612 0-.889.637-1.613 1.438-1.613.807 0 1.451.73 1.438 1.613 0 .888-.631 1.612-1.438 1.612Z"></path>
-                                </svg>
-                            </a>
-                            <a href="https://mastodon.social/@libretechcollectivegt" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" aria-label="Follow us on Mastodon">
-                                <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
-                                    <path d="M11.19 12.195c2.016-.24 3.77-1.475 3.99-2.603.348-1.778.32-4.339.32-4.339 0-3.47-2.286-4.488-2.286-4.488C12.062.238 10.083.017 8.027 0h-.05C5.92.017 3.942.238 2.79.765c0 0-2.285 1.017-2.285 4.488l-.002.662c-.004.64-.007 1.35.011 2.091.083 3.394.626 6.74 3.78 7.57 1.454.383 2.703.463 3.709.408 1.823-.1 2.847-.647 2.847-.647l-.06-1.317s-1.303.41-2.767.36c-1.45-.05-2.98-.156-3.215-1.928a4 4 0 0 1-.033-.496s1.424.346 3.228.428c1.103.05 2.137-.064 3.188-.189zm1.613-2.47H11.13v-4.08c0-.859-.364-1.295-1.091-1.295-.804 0-1.207.517-1.207 1.541v2.233H7.168V5.89c0-1.024-.403-1.541-1.207-1.541-.727 0-1.091.436-1.091 1.296v4.079H3.197V5.522q0-1.288.66-2.046c.456-.505 1.052-.764 1.793-.764.856 0 1.504.328 1.933.983L8 4.39l.417-.695c.429-.655 1.077-.983 1.934-.983.74 0 1.336.259 1.791.764q.662.757.661 2.046z"></path>
-                                </svg>
-                            </a>
-                            <a href="https://bsky.app/profile/libretechgatech.bsky.social" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" aria-label="Follow us on Bluesky">
-                                <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 600 530" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
-                                    <path d="m135.72 44.03c66.496 49.921 138.02 151.14 164.28 205.46 26.262-54.316 97.782-155.54 164.28-205.46 47.98-36.021 125.72-63.892 125.72 24.795 0 17.712-10.155 148.79-16.111 170.07-20.703 73.984-96.144 92.854-163.25 81.433 117.3 19.964 147.14 86.092 82.697 152.22-122.39 125.59-175.91-31.511-189.63-71.766-2.514-7.3797-3.6904-10.832-3.7077-7.8964-0.0174-2.9357-1.1937 0.51669-3.7077 7.8964-13.714 40.255-67.233 197.36-189.63 71.766-64.444-66.128-34.605-132.26 82.697-152.22-67.108 11.421-142.55-7.4491-163.25-81.433-5.9562-21.282-16.111-152.36-16.111-170.07 0-88.687 77.742-60.816 125.72-24.795z"></path>
-                                </svg>
-                            </a>
-                            <a href="https://www.reddit.com/u/gtltc" target="_blank" rel="noopener noreferrer" class="hover:opacity-80 transition-opacity" aria-label="Join us on Reddit">
-                                <svg class="w-6 h-6 fill-current text-gray-300 hover:text-brand-gold transition-colors" viewBox="0 0 512 512" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
-                                    <path d="M440.3 203.5c-15 0-28.8 6.2-38.8 16.2-37.1-25.4-86.1-41.9-140.3-43.4l29.7-93.9 80 18.9c0 22.6 18.3 41 40.9 41 22.6 0 40.9-18.4 40.9-40.9 0-22.6-18.3-40.9-40.9-40.9-16.1 0-30 9.4-36.6 22.9l-88.6-20.9c-6.2-1.5-12.6 2.1-14.6 8.1l-33.8 106.8c-55.2 1-105.1 17.5-142.8 43.3-9.9-9.8-23.4-15.8-38.2-15.8-30.3 0-54.9 24.6-54.9 54.9 0 22.2 13.2 41.4 32.2 50.1-1 5.2-1.5 10.5-1.5 15.9 0 78.3 91.1 141.8 203.3 141.8 112.3 0 203.3-63.5 203.3-141.8 0-5.2-.5-10.4-1.4-15.4 19.4-8.6 33-28 33-50.6 0-30.3-24.5-54.9-54.8-54.9zM129.5 287.8c0-22.6 18.3-40.9 40.9-40.9 22.6 0 40.9 18.3 40.9 40.9 0 22.6-18.3 40.9-40.9 40.9-22.6 0-40.9-18.3-40.9-40.9zm225.7 93.5c-21.4 21.3-62.5 31.7-99.2 31.7-36.7 0-77.8-10.4-99.2-31.7-4.7-4.7-4.7-12.3 0-17 4.7-4.7 12.3-4.7 17 0 14.9 14.9 48.2 24.7 82.2 24.7 34 0 67.3-9.8 82.2-24.7 4.7-4.7 12.3-4.7 17 0 4.7 4.7 4.7 12.3 0 17zm-13.6-52.6c-22.6 0-40.9-18.3-40.9-40.9 0-22.6 18.3-40.9 40.9-40.9 22.6 0 40.9 18.3 40.9 40.9 0 22.6-.631 40.9-40.9 40.9z"></path>
-                                </svg>
-                            </a>
-                        </div>
                     </div>
                 </div>
             </div>
-        `;
-            document.body.appendChild(modal);
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) modal.remove();
+            `
             });
+            translateDocument(panel);
         });
     }
 
@@ -1397,7 +2671,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (isMobile) {
                 if (hasRealisticTiming) {
                     botPreventionPassed = true;
-                    feedback.textContent = '✓ Verified!';
+                    feedback.textContent = t('captcha.verified');
                     feedback.className = 'mt-2 text-xs font-medium min-h-[1.25rem] text-green-600';
                     captchaInput.disabled = true;
                     captchaInput.className = 'w-full px-3 py-2 border border-green-500 bg-green-50 dark:bg-green-900 dark:text-white rounded-lg text-center font-mono';
@@ -1408,7 +2682,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     return;
                 } else {
                     // Failed timing validation on mobile
-                    feedback.textContent = '✗ Please try again';
+                    feedback.textContent = t('captcha.retry');
                     feedback.className = 'mt-2 text-xs font-medium min-h-[1.25rem] text-red-600';
                     captchaInput.value = '';
                     setTimeout(() => {
@@ -1466,7 +2740,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             if (hasRealisticTiming && hasMouseMovement && hasNaturalTyping && hasNaturalMouseMovement) {
                 botPreventionPassed = true;
-                feedback.textContent = '✓ Verified!';
+                feedback.textContent = t('captcha.verified');
                 feedback.className = 'mt-2 text-xs font-medium min-h-[1.25rem] text-green-600';
                 captchaInput.disabled = true;
                 captchaInput.className = 'w-full px-3 py-2 border border-green-500 bg-green-50 dark:bg-green-900 dark:text-white rounded-lg text-center font-mono';
@@ -1477,7 +2751,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 updateSubmitButton();
             } else {
                 // Failed validation - seems bot-like
-                feedback.textContent = '✗ Please try again naturally';
+                feedback.textContent = t('captcha.retryNaturally');
                 feedback.className = 'mt-2 text-xs font-medium min-h-[1.25rem] text-red-600';
                 captchaInput.value = '';
                 setTimeout(() => {
@@ -1491,7 +2765,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         } else if (userInput.length >= currentCaptchaText.length) {
             // Wrong answer
-            feedback.textContent = '✗ Incorrect, try again';
+            feedback.textContent = t('captcha.incorrect');
             feedback.className = 'mt-2 text-xs font-medium min-h-[1.25rem] text-red-600';
             captchaInput.value = '';
             setTimeout(() => {
@@ -1559,7 +2833,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Verify bot prevention
             if (!botPreventionPassed) {
-                messageDiv.textContent = '✗ Please complete the verification.';
+                messageDiv.textContent = t('contact.verifyFirst');
                 messageDiv.className = 'text-center text-sm text-red-600 font-medium';
                 messageDiv.classList.remove('hidden');
                 
@@ -1571,7 +2845,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Disable submit button and show loading state
             submitBtn.disabled = true;
-            submitBtn.innerHTML = '<span class="inline-block animate-pulse">Sending...</span>';
+            submitBtn.innerHTML = `<span class="inline-block animate-pulse">${escapeHtml(t('contact.sending'))}</span>`;
             submitBtn.className = 'w-full bg-gray-300 text-gray-500 py-3 px-6 rounded-lg font-medium transition-colors cursor-not-allowed';
             
             // Prepare template parameters
@@ -1590,7 +2864,7 @@ document.addEventListener('DOMContentLoaded', () => {
             emailjs.send('service_q1pet98', 'template_dhp34yt', templateParams)
                 .then(function(response) {
                     console.log('SUCCESS!', response.status, response.text);
-                    messageDiv.textContent = '✓ Message sent successfully! We\'ll get back to you soon.';
+                    messageDiv.textContent = t('contact.sent');
                     messageDiv.className = 'text-center text-sm text-green-600 font-medium';
                     messageDiv.classList.remove('hidden');
                     
@@ -1617,7 +2891,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     }, 5000);
                 }, function(error) {
                     console.log('FAILED...', error);
-                    messageDiv.textContent = '✗ Failed to send message. Please try again or email us directly at librelinker@gtltc.org';
+                    messageDiv.textContent = t('contact.failed');
                     messageDiv.className = 'text-center text-sm text-red-600 font-medium';
                     messageDiv.classList.remove('hidden');
                     
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Check the catalog's local assets and remote links (see src/link-check.js).
+// Run with `pnpm run check-links`; `--help` lists the options.
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { ENRICHMENT_FILE, mergeEnrichment } from '../src/enrichment.js';
+import { buildReport, checkAssets, checkLinks, collectAssets, collectLinks, formatSummary, hasFailures } from '../src/link-check.js';
+import { parseCount } from './cli.mjs';
+
+const USAGE = `Usage: pnpm run check-links [-- options]
+
+Checks that every local asset the site uses exists (logos in projects.json,
+and misc/ paths in the pages, the manifest and app.js), and that the project
+sites, repositories, releases and FSF license pages it links to resolve.
+
+Options:
+  --offline           Only check local assets
+  --report <file>     Where to write the JSON report (default link-report.json)
+  --concurrency <n>   Links checked at once (default 8)
+  --timeout <ms>      Per request (default 10000)
+  --retries <n>       Extra attempts after a network error, timeout or busy status (default 2)
+  --projects <file>   Catalog to read (default projects.json)
+  --help              Show this message
+
+The command exits with status 1 if an asset is missing or a link is broken.
+Links that moved permanently are listed, but don't fail it.`;
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Files besides projects.json that refer to local assets
+const ASSET_SOURCES = ['index.html', '404.html', 'offline.html', 'manifest.webmanifest', 'app.js'];
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            offline: { type: 'boolean', default: false },
+            report: { type: 'string', default: path.join(root, 'link-report.json') },
+            concurrency: { type: 'string', default: '8' },
+            timeout: { type: 'string', default: '10000' },
+            retries: { type: 'string', default: '2' },
+            projects: { type: 'string', default: path.join(root, 'projects.json') },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    const linkOptions = {
+        concurrency: Math.max(1, parseCount(values.concurrency, 'concurrency')),
+        timeoutMs: parseCount(values.timeout, 'timeout', 1),
+        retries: parseCount(values.retries, 'retries')
+    };
+
+    const projects = JSON.parse(fs.readFileSync(values.projects, 'utf8'));
+    const cacheFile = path.join(root, ENRICHMENT_FILE);
+    const catalog = mergeEnrichment(projects, fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, 'utf8')) : null);
+
+    const sources = Object.fromEntries(ASSET_SOURCES.map(file => [file, fs.readFileSync(path.join(root, file), 'utf8')]));
+    const assets = checkAssets(collectAssets(catalog, sources), asset => fs.existsSync(path.join(root, asset)));
+
+    let links = null;
+    if (!values.offline) {
+        const toCheck = collectLinks(catalog);
+        console.log(`Checking ${toCheck.length} links...`);
+        links = await checkLinks(toCheck, linkOptions);
+    }
+
+    const report = buildReport({ assets, links });
+    fs.writeFileSync(values.report, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`${formatSummary(report)}\nReport written to ${values.report}`);
+    return hasFailures(report) ? 1 : 0;
+}
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(`check-links: ${error.message}`);
+        process.exitCode = 2;
+    }
+);
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Option parsing shared by the command-line scripts in this directory.
+
+// A whole-number option of at least `min`, e.g. --concurrency or --timeout
+export function parseCount(value, option, min = 0) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) throw new Error(`--${option} must be a whole number of at least ${min}, got "${value}"`);
+    return number;
+}
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Collect repository metadata for projects.json into enrichment.json (see
+// src/enrichment.js). Run with `pnpm run enrich`; `--help` lists the options.
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { ENRICHMENT_FILE, emptyEnrichment, enrichProjects } from '../src/enrichment.js';
+import { DEFAULT_TIMEOUT_MS } from '../src/forges/common.js';
+import { DEFAULT_GIT_TIMEOUT_MS } from '../src/forges/git.js';
+import { FORGES, createForgeAdapters } from '../src/forges/index.js';
+import { parseCount } from './cli.mjs';
+
+const USAGE = `Usage: pnpm run enrich [-- options]
+
+Updates ${ENRICHMENT_FILE} with the last commit, contributor count, stars and
+latest release of every project whose \`repository\` (or \`url\`) is on a
+supported forge, or is a git repository.
+
+Options:
+  --only <slug>          Only look at this project (repeatable)
+  --refresh              Fetch again even if the cached entry is recent
+  --max-age <days>       Age at which cached entries are fetched again (default 7)
+  --concurrency <n>      Projects fetched at once (default 4)
+  --forge <forge>=<host> Treat <host> as a ${Object.keys(FORGES).join(', ')} instance (repeatable)
+  --api <forge>=<url>    Use <url> as the API root of <forge>, e.g. a local fixture server (repeatable)
+  --timeout <ms>         Per forge API request (default ${DEFAULT_TIMEOUT_MS})
+  --git-timeout <ms>     Per git command, e.g. a clone (default ${DEFAULT_GIT_TIMEOUT_MS})
+  --projects <file>      Catalog to read (default projects.json)
+  --cache <file>         Cache to update (default ${ENRICHMENT_FILE})
+  --dry-run              Print the results without writing the cache
+  --help                 Show this message
+
+Tokens in GITHUB_TOKEN, GITLAB_TOKEN and GITEA_TOKEN raise the forges' rate limits.
+The command exits with status 1 if any project could not be fetched; those
+projects keep their previous entry.`;
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// "--forge gitlab=gitlab.example.edu" -> { gitlab: ['gitlab.example.edu'] }
+function parsePairs(values, option) {
+    const pairs = {};
+    for (const value of values) {
+        const [forge, ...rest] = value.split('=');
+        if (!FORGES[forge] || rest.length === 0) {
+            throw new Error(`--${option} ${value}: expected <forge>=<value> with <forge> one of ${Object.keys(FORGES).join(', ')}`);
+        }
+        (pairs[forge] ||= []).push(rest.join('='));
+    }
+    return pairs;
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            only: { type: 'string', multiple: true },
+            refresh: { type: 'boolean', default: false },
+            'max-age': { type: 'string', default: '7' },
+            concurrency: { type: 'string', default: '4' },
+            forge: { type: 'string', multiple: true, default: [] },
+            api: { type: 'string', multiple: true, default: [] },
+            timeout: { type: 'string', default: String(DEFAULT_TIMEOUT_MS) },
+            'git-timeout': { type: 'string', default: String(DEFAULT_GIT_TIMEOUT_MS) },
+            projects: { type: 'string', default: path.join(root, 'projects.json') },
+            cache: { type: 'string', default: path.join(root, ENRICHMENT_FILE) },
+            'dry-run': { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const projects = JSON.parse(fs.readFileSync(values.projects, 'utf8'));
+    const cache = fs.existsSync(values.cache) ? JSON.parse(fs.readFileSync(values.cache, 'utf8')) : emptyEnrichment();
+    const apiUrls = Object.fromEntries(Object.entries(parsePairs(values.api, 'api')).map(([forge, urls]) => [forge, urls.at(-1)]));
+    const adapters = createForgeAdapters({
+        hosts: parsePairs(values.forge, 'forge'),
+        apiUrls,
+        tokens: { github: process.env.GITHUB_TOKEN, gitlab: process.env.GITLAB_TOKEN, gitea: process.env.GITEA_TOKEN },
+        timeoutMs: parseCount(values.timeout, 'timeout', 1),
+        git: { timeoutMs: parseCount(values['git-timeout'], 'git-timeout', 1) }
+    });
+
+    const { cache: updated, results } = await enrichProjects(projects, {
+        adapters,
+        cache,
+        maxAgeDays: values.refresh ? 0 : parseCount(values['max-age'], 'max-age'),
+        only: values.only || null,
+        concurrency: Math.max(1, parseCount(values.concurrency, 'concurrency')),
+        onResult: ({ slug, status, source, error }) => {
+            const line = `${status.padEnd(7)} ${slug}${source ? ` (${source})` : ''}${error ? `: ${error}` : ''}`;
+            (status === 'failed' ? console.error : console.log)(line);
+        }
+    });
+
+    const count = status => results.filter(result => result.status === status).length;
+    console.log(`\n${count('updated')} updated, ${count('fresh')} still fresh, ${count('skipped')} without a known repository, ${count('failed')} failed`);
+    if (values['dry-run']) {
+        console.log(JSON.stringify(updated, null, 4));
+    } else {
+        fs.writeFileSync(values.cache, `${JSON.stringify(updated, null, 4)}\n`);
+    }
+    return count('failed') > 0 ? 1 : 0;
+}
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(`enrich: ${error.message}`);
+        process.exitCode = 2;
+    }
+);
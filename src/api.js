@@ -0,0 +1,131 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// The static, read-only JSON API under api/v1/, generated at build time by
+// the API plugin in vite.config.mjs. Its schema is documented in the README
+// ("Static JSON API"); within v1, fields are only ever added, never renamed,
+// removed or retyped.
+import { createAvatarSvg } from './avatars.js';
+import { prepareProject } from './catalog.js';
+import { LICENSE_FAMILIES, getFsfDirectoryUrl, getLicenseLabel } from './licenses.js';
+import { TYPES } from './project-types.js';
+import { getLastActivity } from './statuses.js';
+import { buildTechnologyFacets } from './technologies.js';
+
+export const API_VERSION = 1;
+export const API_PATH = `api/v${API_VERSION}/`;
+
+function byKey(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function projectResource(project, { siteUrl, technologyLabels }) {
+    const slug = project.slug;
+    const licenseInfo = project.licenseInfo;
+    return {
+        slug,
+        name: project.name,
+        description: project.description,
+        url: project.href,
+        repository: project.repository || null,
+        types: project.types,
+        // Spellings that normalize to the same key ("C++", "cpp") are listed once
+        technologies: [...new Set(project.technologyKeys)].map(key => ({ key, label: technologyLabels.get(key) })),
+        license: {
+            expressions: Array.isArray(project.license) ? project.license : [project.license],
+            licenses: (licenseInfo?.licenses || []).map(license => ({
+                id: license.id,
+                label: getLicenseLabel(license.id),
+                exception: license.exception || null,
+                family: license.family
+            })),
+            families: licenseInfo?.families || []
+        },
+        yearStarted: project.yearStarted,
+        status: project.status,
+        // 'explicit' (set in projects.json) or 'derived' (see src/statuses.js)
+        statusSource: project.statusSource,
+        lastActivity: getLastActivity(project),
+        ltcSupported: project.ltcSupported,
+        logo: project.logo ? new URL(project.logo, siteUrl).href : null,
+        avatar: `${siteUrl}${API_PATH}avatars/${encodeURIComponent(slug)}.svg`,
+        dateAdded: project.dateAdded || null,
+        dateUpdated: project.dateUpdated || null,
+        // Repository metadata from enrichment.json (see src/enrichment.js)
+        forge: project.forge || null,
+        links: {
+            self: `${siteUrl}${API_PATH}projects/${encodeURIComponent(slug)}.json`,
+            html: `${siteUrl}#/project/${encodeURIComponent(slug)}`
+        }
+    };
+}
+
+/**
+ * Build every file of the API from projects.json.
+ *
+ * @param {object[]} projects - Entries from projects.json (not modified)
+ * @param {{ siteUrl: string, thresholds?: object }} options - Absolute site URL ending in "/",
+ *   used for links, and the status thresholds from lifecycle.json
+ * @returns {Map<string, object|string>} File path (relative to the site root) -> JSON
+ *   document, or SVG source for avatars
+ */
+export function buildApi(projects, { siteUrl, thresholds }) {
+    const prepared = projects
+        .map(project => prepareProject({ ...project }, { thresholds }))
+        .sort((a, b) => byKey(a.slug, b.slug));
+    const technologyFacets = buildTechnologyFacets(prepared);
+    const technologyLabels = new Map(technologyFacets.map(facet => [facet.key, facet.label]));
+    const resources = prepared.map(project => projectResource(project, { siteUrl, technologyLabels }));
+    const slugsWhere = predicate => resources.filter(predicate).map(resource => resource.slug);
+
+    const files = new Map();
+    const add = (file, body) => files.set(`${API_PATH}${file}`, { apiVersion: API_VERSION, ...body });
+    const link = file => `${siteUrl}${API_PATH}${file}`;
+
+    add('projects.json', { count: resources.length, projects: resources });
+    for (const resource of resources) {
+        add(`projects/${resource.slug}.json`, { project: resource });
+    }
+    for (const project of prepared) {
+        files.set(`${API_PATH}avatars/${project.slug}.svg`, createAvatarSvg(project));
+    }
+
+    // Every known type gets a file, even with no projects, so its URL is stable
+    const types = TYPES.map(type => {
+        const typeProjects = resources.filter(resource => resource.types.includes(type.key));
+        add(`types/${type.key}.json`, {
+            type: { ...type, count: typeProjects.length },
+            projects: typeProjects
+        });
+        return { ...type, count: typeProjects.length, links: { self: link(`types/${type.key}.json`) } };
+    });
+    add('types.json', { types });
+
+    const licenses = new Map();
+    for (const resource of resources) {
+        for (const license of resource.license.licenses) {
+            const key = `${license.id} ${license.exception || ''}`;
+            if (!licenses.has(key)) {
+                licenses.set(key, { ...license, fsfUrl: getFsfDirectoryUrl(license.id), projects: [] });
+            }
+            const entry = licenses.get(key);
+            if (!entry.projects.includes(resource.slug)) entry.projects.push(resource.slug);
+        }
+    }
+    add('licenses.json', {
+        families: LICENSE_FAMILIES.map(family => {
+            const slugs = slugsWhere(resource => resource.license.families.includes(family.key));
+            return { ...family, count: slugs.length, projects: slugs };
+        }),
+        licenses: [...licenses.values()]
+            .sort((a, b) => byKey(a.id, b.id) || byKey(a.exception || '', b.exception || ''))
+            .map(license => ({ ...license, count: license.projects.length }))
+    });
+
+    add('technologies.json', {
+        technologies: technologyFacets.map(facet => ({
+            ...facet,
+            projects: slugsWhere(resource => resource.technologies.some(tech => tech.key === facet.key))
+        }))
+    });
+
+    return files;
+}
@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Generated avatars for projects without a logo (or whose logo fails to load):
+// a standalone SVG with the project's initials over a glyph for its primary
+// type, on a gradient whose colours come from a hash of its name. The same
+// project always gets the same avatar, on the site, in the embeddable element
+// and in the static API.
+import { escapeHtml } from './html.js';
+
+// 24x24 stroke glyphs, one per type in src/project-types.js (the same artwork
+// as getProjectIcon in app.js, except AI/ML, whose icon there is a shared symbol)
+const TYPE_GLYPHS = {
+    ai: 'M5 3v4M3 5h4M6 17v4m-2-2h4m5-16l2.286 6.857L21 12l-5.714 2.143L13 21l-2.286-6.857L5 12l5.714-2.143L13 3z',
+    academic: 'M12 14l9-5-9-5-9 5 9 5zm0 0l6.16-3.422a12.083 12.083 0 01.665 6.479A11.952 11.952 0 0012 20.055a11.952 11.952 0 00-6.824-2.998 12.078 12.078 0 01.665-6.479L12 14zm-4 6v-7.5l4-2.222',
+    research: 'M19.428 15.428a2 2 0 00-1.022-.547l-2.387-.477a6 6 0 00-3.86.517l-.318.158a6 6 0 01-3.86.517L6.05 15.21a2 2 0 00-1.806.547M8 4h8l-1 1v5.172a2 2 0 00.586 1.414l5 5c1.26 1.26.367 3.414-1.415 3.414H4.828c-1.782 0-2.674-2.154-1.414-3.414l5-5A2 2 0 009 10.172V5L8 4z',
+    hardware: 'M9 3v2m6-2v2M9 19v2m6-2v2M5 9H3m2 6H3m18-6h-2m2 6h-2M7 19h10a2 2 0 002-2V7a2 2 0 00-2-2H7a2 2 0 00-2 2v10a2 2 0 002 2zM9 9h6v6H9V9z',
+    web: 'M21 12a9 9 0 01-9 9m9-9a9 9 0 00-9-9m9 9H3m9 9a9 9 0 01-9-9m9 9c1.657 0 3-4.03 3-9s-1.343-9-3-9m0 18c-1.657 0-3-4.03-3-9s1.343-9 3-9m-9 9a9 9 0 019-9',
+    mobile: 'M12 18h.01M8 21h8a2 2 0 002-2V5a2 2 0 00-2-2H8a2 2 0 00-2 2v14a2 2 0 002 2z',
+    enterprise: 'M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4',
+    plugin: 'M11 4a2 2 0 114 0v1a1 1 0 001 1h3a1 1 0 011 1v3a1 1 0 01-1 1h-1a2 2 0 100 4h1a1 1 0 011 1v3a1 1 0 01-1 1h-3a1 1 0 01-1-1v-1a2 2 0 10-4 0v1a1 1 0 01-1 1H7a1 1 0 01-1-1v-3a1 1 0 00-1-1H4a2 2 0 110-4h1a1 1 0 001-1V7a1 1 0 011-1h3a1 1 0 001-1V4z',
+    'just-for-fun': 'M14.828 14.828a4 4 0 01-5.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z'
+};
+
+// Words that don't make it into initials unless the name has nothing else
+const MINOR_WORDS = new Set(['a', 'an', 'and', 'for', 'of', 'on', 'the', 'to']);
+
+// FNV-1a: small, fast and stable across platforms, which is all this needs
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (const char of text) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Up to two initials for a project name: the first letters of its first two
+ * words ("Open Course Tools" -> "OC"), of its camelCase parts ("OnTask" ->
+ * "OT"), or else its first two letters ("Sakai" -> "SA").
+ *
+ * @param {string} name
+ */
+export function getInitials(name) {
+    let words = name.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (words.length === 1) {
+        // "HLSFactory" -> HLS, Factory; "uPortal" -> u, Portal
+        words = words[0].split(/(?<=\p{Ll})(?=\p{Lu})|(?<=\p{Lu})(?=\p{Lu}\p{Ll})/u);
+    }
+    const major = words.filter(word => !MINOR_WORDS.has(word.toLowerCase()));
+    if (major.length >= 2) words = major;
+    const initials = words.length >= 2
+        ? [words[0], words[1]].map(word => Array.from(word)[0]).join('')
+        : Array.from(words[0] || '?').slice(0, 2).join('');
+    return initials.toUpperCase();
+}
+
+// Two colours close in hue, dark enough for white initials
+function getPalette(hash) {
+    const hue = hash % 360;
+    const shift = 25 + ((hash >>> 9) % 50);
+    const saturation = 45 + ((hash >>> 16) % 25);
+    return [
+        `hsl(${hue}, ${saturation}%, 28%)`,
+        `hsl(${(hue + shift) % 360}, ${saturation}%, 40%)`
+    ];
+}
+
+/**
+ * The avatar of a project as a standalone SVG document.
+ *
+ * @param {{ name: string, types?: string[] }} project - Its first type picks the glyph
+ * @returns {string}
+ */
+export function createAvatarSvg({ name, types = [] }) {
+    const hash = hashString(name);
+    const [from, to] = getPalette(hash);
+    // Corner the gradient starts from
+    const [x1, y1, x2, y2] = [[0, 0, 1, 1], [1, 0, 0, 1], [0, 1, 1, 0], [1, 1, 0, 0]][(hash >>> 24) % 4];
+    const glyph = TYPE_GLYPHS[types[0]];
+    const initials = getInitials(name);
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64" width="64" height="64">` +
+        `<title>${escapeHtml(name)}</title>` +
+        `<defs><linearGradient id="bg" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">` +
+        `<stop offset="0" stop-color="${from}"/><stop offset="1" stop-color="${to}"/>` +
+        `</linearGradient></defs>` +
+        `<rect width="64" height="64" fill="url(#bg)"/>` +
+        (glyph
+            ? `<path d="${glyph}" transform="translate(8 8) scale(2)" fill="none" stroke="#fff" stroke-opacity="0.2" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>`
+            : '') +
+        `<text x="32" y="32" dy="0.35em" text-anchor="middle" fill="#fff" font-family="system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif" font-size="${initials.length > 1 ? 26 : 32}" font-weight="700">${escapeHtml(initials)}</text>` +
+        `</svg>`;
+}
+
+const dataUrls = new Map();
+
+/**
+ * The avatar as a data: URL for an <img> src (allowed by the site's CSP).
+ *
+ * @param {{ name: string, types?: string[] }} project
+ */
+export function getAvatarUrl(project) {
+    const key = `${project.name}\n${project.types?.[0] || ''}`;
+    if (!dataUrls.has(key)) {
+        dataUrls.set(key, `data:image/svg+xml,${encodeURIComponent(createAvatarSvg(project))}`);
+    }
+    return dataUrls.get(key);
+}
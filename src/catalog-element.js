@@ -0,0 +1,278 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// <librelinker-catalog>: the LibreLinker catalog as a custom element, for
+// embedding a filtered list of projects on other sites. Built on its own into
+// librelinker-catalog.js (see embedPlugin in vite.config.mjs).
+//
+//   <script type="module" src="https://librelinker.us/librelinker-catalog.js"></script>
+//   <librelinker-catalog types="hardware" technologies="cuda" sort="-yearStarted" ltc-only limit="6"></librelinker-catalog>
+//
+// Filter and sort attributes take the same values as the site's query string
+// (see src/view-state.js) and can be changed at any time.
+import tailwindStyles from './styles.css?inline';
+import lifecycle from '../lifecycle.json';
+import { getAvatarUrl } from './avatars.js';
+import { filterProjects, prepareProject, sortProjects } from './catalog.js';
+import { escapeHtml } from './html.js';
+import { LICENSE_FAMILIES } from './licenses.js';
+import { getLogoSources } from './logos.js';
+import { TYPE_KEYS } from './project-types.js';
+import { createSearchIndex } from './search.js';
+import { STATUSES, getStatus, getStatusBadgeClass, lifecycleThresholds } from './statuses.js';
+import { technologyKey } from './technologies.js';
+import { parseViewState } from './view-state.js';
+
+// Element attribute -> query string parameter understood by parseViewState
+const FILTER_ATTRIBUTES = {
+    query: 'q',
+    types: 'type',
+    'type-mode': 'typemode',
+    licenses: 'license',
+    technologies: 'tech',
+    statuses: 'status',
+    years: 'year',
+    sort: 'sort',
+    ltc: 'ltc'
+};
+
+const styles = `${tailwindStyles}
+:host { display: block; }
+:host([hidden]) { display: none; }`;
+
+const SORT_COLUMNS = ['name', 'yearStarted', 'license', 'status', 'ltcSupported'];
+const MAX_TECHNOLOGIES = 4;
+
+// Status derivation thresholds, the same as the site's (see lifecycle.json)
+const STATUS_THRESHOLDS = lifecycleThresholds(lifecycle);
+
+// Elements on the same page share one request per projects.json
+const projectRequests = new Map();
+
+function loadProjects(url) {
+    if (!projectRequests.has(url)) {
+        const request = fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(projects => projects.map(project => prepareProject(project, { thresholds: STATUS_THRESHOLDS })));
+        // Let a later element retry after a failure
+        request.catch(() => projectRequests.delete(url));
+        projectRequests.set(url, request);
+    }
+    return projectRequests.get(url);
+}
+
+// Constructable stylesheets aren't affected by the host page's style-src CSP
+let sharedSheet = null;
+function adoptStyles(shadowRoot) {
+    if ('adoptedStyleSheets' in Document.prototype && 'replaceSync' in CSSStyleSheet.prototype) {
+        if (!sharedSheet) {
+            sharedSheet = new CSSStyleSheet();
+            sharedSheet.replaceSync(styles);
+        }
+        shadowRoot.adoptedStyleSheets = [sharedSheet];
+        return '';
+    }
+    return `<style>${styles}</style>`;
+}
+
+class LibreLinkerCatalog extends HTMLElement {
+    static get observedAttributes() {
+        return ['origin', 'limit', 'ltc-only', 'theme', ...Object.keys(FILTER_ATTRIBUTES)];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.projects = null;
+        this.error = null;
+        this.searchIndex = null;
+        // Logos that failed to load are shown as the project's avatar instead
+        this.brokenLogos = new Set();
+        this.styleTag = adoptStyles(this.shadowRoot);
+        this.colorScheme = window.matchMedia('(prefers-color-scheme: dark)');
+        this.handleColorSchemeChange = () => this.render();
+        // Image load errors don't bubble, so catch them on the way down
+        this.shadowRoot.addEventListener('error', (event) => {
+            const logo = event.target.dataset?.logo;
+            if (!logo) return;
+            this.brokenLogos.add(logo);
+            this.render();
+        }, true);
+    }
+
+    connectedCallback() {
+        this.colorScheme.addEventListener('change', this.handleColorSchemeChange);
+        if (!this.projects) this.load();
+    }
+
+    disconnectedCallback() {
+        this.colorScheme.removeEventListener('change', this.handleColorSchemeChange);
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue || !this.isConnected) return;
+        if (name === 'origin') {
+            this.load();
+        } else {
+            this.render();
+        }
+    }
+
+    // Where projects.json and the project pages live; defaults to wherever this script was loaded from
+    get origin() {
+        return new URL(this.getAttribute('origin') || './', import.meta.url).href.replace(/\/?$/, '/');
+    }
+
+    async load() {
+        const url = new URL('projects.json', this.origin).href;
+        this.projects = null;
+        this.error = null;
+        this.render();
+        try {
+            const projects = await loadProjects(url);
+            // The origin may have changed while this request was in flight
+            if (url !== new URL('projects.json', this.origin).href) return;
+            this.projects = projects;
+            this.searchIndex = createSearchIndex(projects);
+        } catch (error) {
+            this.error = error;
+        }
+        this.render();
+        this.dispatchEvent(new CustomEvent(this.error ? 'librelinker-error' : 'librelinker-load', {
+            detail: this.error ? { error: this.error } : { count: this.getProjects().length }
+        }));
+    }
+
+    getViewState() {
+        const params = new URLSearchParams();
+        for (const [attribute, param] of Object.entries(FILTER_ATTRIBUTES)) {
+            const value = this.getAttribute(attribute);
+            if (value !== null) params.set(param, value);
+        }
+        // Technologies can be written as displayed ("C++", "cpp"); keys are normalized
+        if (params.has('tech')) {
+            params.set('tech', params.get('tech').split(',').map(technologyKey).join(','));
+        }
+        return parseViewState(params, {
+            types: TYPE_KEYS,
+            licenses: LICENSE_FAMILIES.map(family => family.key),
+            technologies: [...new Set(this.projects.flatMap(project => project.technologyKeys))],
+            statuses: STATUSES.map(status => status.key),
+            sortColumns: SORT_COLUMNS
+        });
+    }
+
+    // The projects to show, filtered, sorted and limited as the attributes say
+    getProjects() {
+        if (!this.projects) return [];
+        const state = this.getViewState();
+        let projects = filterProjects(this.projects, {
+            typeFilter: { include: new Set(state.types), exclude: new Set(state.excludedTypes), mode: state.typeMode },
+            licenses: state.licenses,
+            statuses: state.statuses,
+            yearRange: state.yearRange,
+            technologies: state.technologies
+        });
+        if (this.hasAttribute('ltc-only')) {
+            projects = projects.filter(project => project.ltcSupported === true);
+        }
+        const results = state.query ? this.searchIndex.search(state.query) : null;
+        if (results) {
+            // Best matches first, as on the site
+            const ranked = results.map(result => result.project);
+            projects = ranked.filter(project => projects.includes(project));
+        }
+        projects = sortProjects(projects, { sort: state.sort, ltcOnTop: state.ltcOnTop });
+
+        const limit = Number.parseInt(this.getAttribute('limit'), 10);
+        return limit > 0 ? projects.slice(0, limit) : projects;
+    }
+
+    isDark() {
+        const theme = this.getAttribute('theme');
+        return theme === 'dark' || (theme !== 'light' && this.colorScheme.matches);
+    }
+
+    renderCard(project) {
+        const origin = this.origin;
+        const detailUrl = new URL(`#/project/${encodeURIComponent(project.slug)}`, origin).href;
+        const licenses = Array.isArray(project.license) ? project.license : [project.license];
+        const technologies = project.technologies.slice(0, MAX_TECHNOLOGIES);
+        const logo = project.logo && !this.brokenLogos.has(project.logo)
+            ? getLogoSources(project.logo, '40px', path => new URL(path, origin).href)
+            : null;
+        return `
+            <li part="card" class="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-600 p-4 flex flex-col gap-3">
+                <div class="flex items-start gap-3">
+                    <div class="w-12 h-12 flex-shrink-0 rounded ${logo ? 'bg-gray-100 dark:bg-white border-2 border-brand-gold' : 'overflow-hidden'} flex items-center justify-center">
+                        ${logo
+                            ? `<img src="${escapeHtml(logo.src)}" srcset="${escapeHtml(logo.srcset)}" sizes="${logo.sizes}" data-logo="${escapeHtml(project.logo)}" alt="" class="w-10 h-10 object-contain" loading="lazy" width="40" height="40">`
+                            : `<img src="${getAvatarUrl(project)}" alt="" class="w-full h-full" width="48" height="48">`}
+                    </div>
+                    <div class="min-w-0 flex-1">
+                        <h3 class="text-base font-semibold leading-snug">
+                            <a part="link" href="${escapeHtml(detailUrl)}" target="_blank" rel="noopener" class="text-brand-navy dark:text-brand-gold hover:underline">${escapeHtml(project.name)}</a>
+                        </h3>
+                        <div class="flex flex-wrap items-center gap-1.5 mt-1">
+                            <span title="${escapeHtml(getStatus(project.status)?.description || '')}" class="px-2 py-0.5 ${getStatusBadgeClass(project.status)} text-[10px] font-medium rounded-full">${escapeHtml(project.status || '')}</span>
+                            <span class="text-xs text-gray-600 dark:text-gray-400">${escapeHtml(project.yearStarted)}</span>
+                            ${project.ltcSupported
+                                ? '<span class="px-2 py-0.5 bg-brand-navy text-white dark:bg-brand-gold dark:text-brand-navy text-[10px] font-medium rounded-full whitespace-nowrap">✅ LTC Supported</span>'
+                                : ''}
+                        </div>
+                    </div>
+                </div>
+                <p class="text-sm text-gray-700 dark:text-gray-300 line-clamp-3">${escapeHtml(project.description)}</p>
+                <ul class="flex flex-wrap gap-1.5" aria-label="Technologies">
+                    ${technologies.map(tech => `
+                        <li class="px-2 py-0.5 bg-brand-gold bg-opacity-10 text-brand-navy dark:text-brand-gold text-[10px] sm:text-xs font-medium rounded-full border border-brand-gold whitespace-nowrap">${escapeHtml(tech)}</li>
+                    `).join('')}
+                    ${project.technologies.length > MAX_TECHNOLOGIES
+                        ? `<li class="px-2 py-0.5 text-gray-600 dark:text-gray-300 text-[10px] sm:text-xs">+${project.technologies.length - MAX_TECHNOLOGIES} more</li>`
+                        : ''}
+                </ul>
+                <div class="mt-auto pt-3 border-t border-gray-200 dark:border-gray-700 flex items-center justify-between gap-3 text-xs">
+                    <span class="text-gray-600 dark:text-gray-400">${escapeHtml(licenses.join('; '))}</span>
+                    ${project.href
+                        ? `<a href="${escapeHtml(project.href)}" target="_blank" rel="noopener noreferrer" class="text-brand-gold hover:underline font-medium whitespace-nowrap">Website</a>`
+                        : ''}
+                </div>
+            </li>
+        `;
+    }
+
+    renderBody() {
+        const message = (text) => `<p part="message" class="py-8 text-center text-sm text-gray-500 dark:text-gray-400">${text}</p>`;
+        if (this.error) {
+            return message(`Couldn't load projects from <a class="text-brand-gold hover:underline" href="${escapeHtml(this.origin)}">${escapeHtml(new URL(this.origin).host)}</a>.`);
+        }
+        if (!this.projects) {
+            return message('Loading projects…');
+        }
+        const projects = this.getProjects();
+        if (projects.length === 0) {
+            return message('No projects match.');
+        }
+        return `
+            <ul part="list" class="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+                ${projects.map(project => this.renderCard(project)).join('')}
+            </ul>
+        `;
+    }
+
+    render() {
+        this.shadowRoot.innerHTML = `
+            ${this.styleTag}
+            <div class="${this.isDark() ? 'dark' : ''}">
+                <div part="catalog" aria-busy="${!this.projects && !this.error}" class="font-sans">
+                    ${this.renderBody()}
+                </div>
+            </div>
+        `;
+    }
+}
+
+if (!customElements.get('librelinker-catalog')) {
+    customElements.define('librelinker-catalog', LibreLinkerCatalog);
+}
@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// The catalog's core, shared by the site (app.js) and the embeddable
+// <librelinker-catalog> element: preparing projects.json entries, filtering
+// them and sorting them. Nothing here touches the DOM.
+import { parseProjectLicense } from './licenses.js';
+import { safeUrl } from './html.js';
+import { projectSlug } from './projects.js';
+import { STATUSES, deriveStatus } from './statuses.js';
+import { technologyKey } from './technologies.js';
+import { matchesTypeFilter } from './type-filter.js';
+import { hasYearRange } from './view-state.js';
+
+/**
+ * Add the derived fields the catalog works with to a projects.json entry
+ * (in place): `slug`, `technologyKeys`, `href` (its URL if http(s), else null),
+ * `licenseInfo` (the parsed SPDX expressions, null if unparseable) and
+ * `derivedStatus` (see deriveStatus in src/statuses.js). A project without a
+ * `status` gets the derived one, and `statusSource` says which it is.
+ *
+ * @param {object} project
+ * @param {{ now?: Date, thresholds?: object }} [options] - Passed on to deriveStatus;
+ *   `thresholds` should come from lifecycle.json (see lifecycleThresholds)
+ */
+export function prepareProject(project, { now, thresholds } = {}) {
+    project.slug = projectSlug(project);
+    project.technologyKeys = project.technologies.map(technologyKey);
+    project.href = safeUrl(project.url);
+    if (!project.href) {
+        console.warn(`Ignoring non-http(s) URL for ${project.name}:`, project.url);
+    }
+    try {
+        project.licenseInfo = parseProjectLicense(project.license);
+    } catch (error) {
+        console.warn(`Invalid license for ${project.name}:`, error);
+        project.licenseInfo = null;
+    }
+    project.derivedStatus = deriveStatus(project, { now, thresholds });
+    project.statusSource = project.status ? 'explicit' : project.derivedStatus ? 'derived' : null;
+    project.status = project.status || project.derivedStatus?.key || null;
+    return project;
+}
+
+/**
+ * Apply the catalog filters. Empty filters match everything.
+ *
+ * @param {object[]} projects - Prepared projects
+ * @param {{ typeFilter?: { include: Set<string>, exclude: Set<string>, mode: 'and'|'or' }, licenses?: Iterable<string>, statuses?: Iterable<string>, yearRange?: { from: number|null, to: number|null }, technologies?: Iterable<string> }} filters
+ */
+export function filterProjects(projects, { typeFilter, licenses = [], statuses = [], yearRange, technologies = [] }) {
+    const licenseFamilies = new Set(licenses);
+    const statusKeys = new Set(statuses);
+    const technologyKeys = [...technologies];
+
+    if (typeFilter && (typeFilter.include.size > 0 || typeFilter.exclude.size > 0)) {
+        // AND / OR over included types, never any excluded type
+        projects = projects.filter(project => matchesTypeFilter(project.types, typeFilter));
+    }
+    if (licenseFamilies.size > 0) {
+        // OR logic: project must use a license from ANY selected family
+        projects = projects.filter(project =>
+            project.licenseInfo?.families.some(family => licenseFamilies.has(family))
+        );
+    }
+    if (statusKeys.size > 0) {
+        // OR logic: a project has exactly one status
+        projects = projects.filter(project => statusKeys.has(project.status));
+    }
+    if (yearRange && hasYearRange(yearRange)) {
+        const { from, to } = yearRange;
+        projects = projects.filter(project =>
+            (from === null || project.yearStarted >= from) && (to === null || project.yearStarted <= to)
+        );
+    }
+    if (technologyKeys.length > 0) {
+        // AND logic: project must use ALL selected technologies
+        projects = projects.filter(project =>
+            technologyKeys.every(key => project.technologyKeys.includes(key))
+        );
+    }
+    return projects;
+}
+
+// Sort key for the License column: the first license in the project's expression
+export function getLicenseSortValue(project) {
+    if (project.licenseInfo?.licenses.length) {
+        return project.licenseInfo.licenses[0].id;
+    }
+    return Array.isArray(project.license) ? project.license[0] : project.license;
+}
+
+function getStatusSortValue(project) {
+    const index = STATUSES.findIndex(status => status.key === project.status);
+    return index === -1 ? STATUSES.length : index;
+}
+
+function compareProjects(a, b, sort) {
+    for (const { column, direction } of sort) {
+        let aVal = a[column];
+        let bVal = b[column];
+
+        // Special handling for license expressions
+        if (column === 'license') {
+            aVal = getLicenseSortValue(a);
+            bVal = getLicenseSortValue(b);
+        }
+
+        // Statuses sort in lifecycle order (Incubating first), not alphabetically
+        if (column === 'status') {
+            aVal = getStatusSortValue(a);
+            bVal = getStatusSortValue(b);
+        }
+
+        // Normalize values
+        const aIsString = typeof aVal === 'string';
+        const bIsString = typeof bVal === 'string';
+        if (aIsString) aVal = aVal.toLowerCase();
+        if (bIsString) bVal = bVal.toLowerCase();
+
+        let cmp = 0;
+        if (aIsString && bIsString) {
+            cmp = aVal.localeCompare(bVal);
+        } else {
+            if (aVal > bVal) cmp = 1;
+            else if (aVal < bVal) cmp = -1;
+            else cmp = 0;
+        }
+
+        if (cmp !== 0) {
+            return direction === 'asc' ? cmp : -cmp;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Order projects by the given sort columns (in priority order), keeping the
+ * incoming order for ties and when `sort` is empty. With `ltcOnTop` true or
+ * false, LTC-supported projects are grouped first or last and each group is
+ * sorted on its own; null leaves them mixed in.
+ *
+ * @param {object[]} projects
+ * @param {{ sort?: { column: string, direction: 'asc'|'desc' }[], ltcOnTop?: boolean|null }} options
+ */
+export function sortProjects(projects, { sort = [], ltcOnTop = null } = {}) {
+    const order = list => (sort.length > 0 ? [...list].sort((a, b) => compareProjects(a, b, sort)) : list);
+
+    if (ltcOnTop === null) {
+        return order(projects);
+    }
+
+    const ltcProjects = order(projects.filter(p => p.ltcSupported === true));
+    const nonLtcProjects = order(projects.filter(p => p.ltcSupported !== true));
+    return ltcOnTop ? [...ltcProjects, ...nonLtcProjects] : [...nonLtcProjects, ...ltcProjects];
+}
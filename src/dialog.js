@@ -0,0 +1,206 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Modal dialogs: role="dialog" with aria-modal and a label, focus trapped
+// inside and restored on close, Escape to close, page scroll locked while any
+// dialog is open, and dialogs can stack (Escape closes the top one).
+import { t } from './i18n.js';
+
+const FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Matches the Tailwind duration-150 classes below
+const TRANSITION_MS = 150;
+
+const stack = [];
+let idCounter = 0;
+let savedBodyStyle = null;
+
+function prefersReducedMotion() {
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Restore the body's own overflow/padding afterwards instead of blanking them
+function lockScroll() {
+    if (savedBodyStyle) return;
+    const { style } = document.body;
+    savedBodyStyle = { overflow: style.overflow, paddingRight: style.paddingRight };
+    // Keep the layout from shifting when the scrollbar disappears
+    const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+    if (scrollbarWidth > 0) {
+        const currentPadding = parseFloat(getComputedStyle(document.body).paddingRight) || 0;
+        style.paddingRight = `${currentPadding + scrollbarWidth}px`;
+    }
+    style.overflow = 'hidden';
+}
+
+function unlockScroll() {
+    if (!savedBodyStyle) return;
+    document.body.style.overflow = savedBodyStyle.overflow;
+    document.body.style.paddingRight = savedBodyStyle.paddingRight;
+    savedBodyStyle = null;
+}
+
+function getFocusable(panel) {
+    return Array.from(panel.querySelectorAll(FOCUSABLE)).filter(el => !el.closest('[hidden]'));
+}
+
+function handleKeydown(e) {
+    const dialog = stack[stack.length - 1];
+    if (!dialog) return;
+
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        closeDialog(dialog);
+        return;
+    }
+
+    if (e.key === 'Tab') {
+        const focusable = getFocusable(dialog.panel);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            dialog.panel.focus();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        if (e.shiftKey && (active === first || active === dialog.panel || !dialog.panel.contains(active))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || !dialog.panel.contains(active))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// Pull focus back if it escapes the top dialog (e.g. via a click on the page behind)
+function handleFocusIn(e) {
+    const dialog = stack[stack.length - 1];
+    if (dialog && !dialog.panel.contains(e.target)) {
+        dialog.panel.focus();
+    }
+}
+
+/**
+ * Open a modal dialog.
+ *
+ * @param {object} options
+ * @param {string} options.title - Dialog title (plain text), used as its accessible name
+ * @param {string} options.body - HTML for the dialog body
+ * @param {string} [options.overlayClass] - Extra classes for the backdrop (e.g. alignment)
+ * @param {string} [options.panelClass] - Classes for the dialog box, replacing the default size and shape
+ * @param {() => void} [options.onClose] - Called after the dialog closes
+ * @returns {{ overlay: HTMLElement, panel: HTMLElement, close: () => void }}
+ */
+export function openDialog({ title, body, overlayClass = 'items-center p-4', panelClass = 'rounded-lg max-w-2xl w-full max-h-[80vh]', onClose }) {
+    const titleId = `dialog-title-${++idCounter}`;
+    const animate = !prefersReducedMotion();
+
+    const overlay = document.createElement('div');
+    overlay.className = `fixed inset-0 bg-black bg-opacity-50 flex justify-center ${overlayClass} transition-opacity duration-150 ease-out motion-reduce:transition-none`;
+    overlay.style.zIndex = String(50 + stack.length);
+
+    const panel = document.createElement('div');
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-modal', 'true');
+    panel.setAttribute('aria-labelledby', titleId);
+    panel.tabIndex = -1;
+    panel.className = `bg-white dark:bg-gray-800 shadow-2xl overflow-y-auto focus:outline-none ${panelClass} transition-transform duration-150 ease-out motion-reduce:transition-none`;
+
+    const header = document.createElement('div');
+    header.className = 'sticky top-0 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 p-4 sm:p-6 flex items-start justify-between';
+    const heading = document.createElement('h2');
+    heading.id = titleId;
+    heading.className = 'text-lg sm:text-xl font-bold text-brand-navy dark:text-brand-gold pr-4';
+    heading.textContent = title;
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'flex-shrink-0 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors';
+    closeButton.setAttribute('aria-label', t('dialog.close'));
+    closeButton.innerHTML = `<svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+    </svg>`;
+    header.append(heading, closeButton);
+
+    const content = document.createElement('div');
+    content.innerHTML = body;
+    panel.append(header, content);
+    overlay.appendChild(panel);
+
+    const dialog = {
+        overlay,
+        panel,
+        returnFocus: document.activeElement,
+        onClose,
+        closing: false,
+        close: () => closeDialog(dialog)
+    };
+
+    closeButton.addEventListener('click', dialog.close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) dialog.close();
+    });
+
+    if (stack.length === 0) {
+        lockScroll();
+        document.addEventListener('keydown', handleKeydown);
+        document.addEventListener('focusin', handleFocusIn);
+    }
+    stack.push(dialog);
+
+    if (animate) {
+        overlay.classList.add('opacity-0');
+        panel.classList.add('scale-95');
+    }
+    document.body.appendChild(overlay);
+    panel.focus();
+    if (animate) {
+        requestAnimationFrame(() => {
+            overlay.classList.remove('opacity-0');
+            panel.classList.remove('scale-95');
+        });
+    }
+
+    return dialog;
+}
+
+export function closeDialog(dialog) {
+    const index = stack.indexOf(dialog);
+    if (index === -1 || dialog.closing) return;
+    // Dialogs opened on top of this one go with it
+    stack.slice(index + 1).reverse().forEach(closeDialog);
+
+    dialog.closing = true;
+    stack.splice(stack.indexOf(dialog), 1);
+    if (stack.length === 0) {
+        unlockScroll();
+        document.removeEventListener('keydown', handleKeydown);
+        document.removeEventListener('focusin', handleFocusIn);
+    }
+
+    const remove = () => dialog.overlay.remove();
+    if (prefersReducedMotion()) {
+        remove();
+    } else {
+        dialog.overlay.classList.add('opacity-0');
+        dialog.panel.classList.add('scale-95');
+        setTimeout(remove, TRANSITION_MS);
+    }
+
+    if (dialog.returnFocus && document.contains(dialog.returnFocus)) {
+        dialog.returnFocus.focus();
+    } else if (stack.length > 0) {
+        stack[stack.length - 1].panel.focus();
+    }
+    dialog.onClose?.();
+}
+
+export function closeAllDialogs() {
+    [...stack].reverse().forEach(closeDialog);
+}
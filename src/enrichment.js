@@ -0,0 +1,136 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Repository metadata for the catalog: last commit, contributors, stars and
+// the latest release. The enrichment command (scripts/enrich.mjs) collects it
+// through the forge adapters in src/forges/ into enrichment.json, which is
+// committed. The build merges that file into projects.json as each project's
+// `forge` field and never goes to the network itself.
+import { mapConcurrent } from './concurrency.js';
+import { projectSlug } from './projects.js';
+
+export const ENRICHMENT_FILE = 'enrichment.json';
+export const ENRICHMENT_VERSION = 1;
+
+/**
+ * What an adapter collects about a repository.
+ *
+ * @typedef {object} ForgeStats
+ * @property {string|null} lastCommit - YYYY-MM-DD of the latest commit on the default branch
+ * @property {number|null} contributors
+ * @property {number|null} stars - null where the host has none (plain git)
+ * @property {boolean|null} archived - Marked read-only on the forge; null if unknown
+ * @property {{ name: string, tag: string, date: string|null, url: string|null }|null} release
+ */
+
+export function emptyEnrichment() {
+    return { version: ENRICHMENT_VERSION, projects: {} };
+}
+
+/**
+ * The adapter for a project's repository: the first that matches its
+ * `repository` field or, without one, its website `url`.
+ *
+ * @param {object} project - Entry from projects.json
+ * @param {object[]} adapters - See src/forges/index.js
+ * @returns {{ adapter: object, match: object, repository: string }|null}
+ */
+export function resolveRepository(project, adapters) {
+    const explicit = Boolean(project.repository);
+    let url;
+    try {
+        url = new URL(String(explicit ? project.repository : project.url).trim());
+    } catch {
+        return null;
+    }
+    for (const adapter of adapters) {
+        const match = adapter.match(url, { explicit });
+        if (match) return { adapter, match, repository: url.href };
+    }
+    return null;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Refresh the metadata of every project that has a repository an adapter
+ * handles. A failed project keeps its previous entry, so a forge being down
+ * or rate-limiting doesn't wipe the cache.
+ *
+ * @param {object[]} projects - Entries from projects.json
+ * @param {object} options
+ * @param {object[]} options.adapters - See src/forges/index.js
+ * @param {object} [options.cache] - Current contents of enrichment.json
+ * @param {number} [options.maxAgeDays] - Entries fetched fewer days ago, from the same repository, are kept as they are
+ * @param {string[]} [options.only] - Slugs to look at; every other entry is kept as it is
+ * @param {number} [options.concurrency]
+ * @param {Date} [options.now]
+ * @param {(result: object) => void} [options.onResult] - Called as each project finishes
+ * @returns {Promise<{ cache: object, results: { slug: string, status: 'updated'|'fresh'|'skipped'|'failed', source?: string, error?: string }[] }>}
+ */
+export async function enrichProjects(projects, {
+    adapters,
+    cache = emptyEnrichment(),
+    maxAgeDays = 7,
+    only = null,
+    concurrency = 4,
+    now = new Date(),
+    onResult = () => {}
+}) {
+    if (cache.version !== ENRICHMENT_VERSION) {
+        throw new Error(`${ENRICHMENT_FILE} has version ${cache.version}, expected ${ENRICHMENT_VERSION}`);
+    }
+    const today = now.toISOString().slice(0, 10);
+    const previous = cache.projects;
+    const entries = {};
+
+    const results = await mapConcurrent(projects, concurrency, async (project) => {
+        const slug = projectSlug(project);
+        const old = previous[slug];
+        const finish = (result) => {
+            onResult(result);
+            return result;
+        };
+        if (only && !only.includes(slug)) {
+            if (old) entries[slug] = old;
+            return null;
+        }
+        const resolved = resolveRepository(project, adapters);
+        if (!resolved) return finish({ slug, status: 'skipped' });
+
+        const source = resolved.adapter.name;
+        const sameRepository = old?.repository === resolved.repository;
+        if (sameRepository && now - new Date(`${old.fetched}T00:00:00Z`) < maxAgeDays * DAY_MS) {
+            entries[slug] = old;
+            return finish({ slug, status: 'fresh', source });
+        }
+        try {
+            const stats = await resolved.adapter.collect(resolved.match);
+            entries[slug] = { source, repository: resolved.repository, fetched: today, ...stats };
+            return finish({ slug, status: 'updated', source });
+        } catch (error) {
+            if (sameRepository) entries[slug] = old;
+            return finish({ slug, status: 'failed', source, error: error.message });
+        }
+    });
+
+    // Sorted, so that the committed file only changes where the data does
+    const sorted = Object.fromEntries(Object.keys(entries).sort().map(slug => [slug, entries[slug]]));
+    return { cache: { version: ENRICHMENT_VERSION, projects: sorted }, results: results.filter(Boolean) };
+}
+
+/**
+ * projects.json as the site serves it: every project with an entry in
+ * enrichment.json gets that entry as `forge`.
+ *
+ * @param {object[]} projects - Entries from projects.json (not modified)
+ * @param {object|null} cache - Contents of enrichment.json, if there is one
+ */
+export function mergeEnrichment(projects, cache) {
+    if (!cache) return projects;
+    if (cache.version !== ENRICHMENT_VERSION) {
+        throw new Error(`${ENRICHMENT_FILE} has version ${cache.version}, expected ${ENRICHMENT_VERSION}`);
+    }
+    return projects.map((project) => {
+        const entry = cache.projects[projectSlug(project)];
+        return entry ? { ...project, forge: entry } : project;
+    });
+}
@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Serializers for exporting a list of projects (the catalog's current view)
+// as CSV, JSON, a Markdown table or BibTeX @software entries.
+//
+// Every format keeps the order of the list it is given. Lists (types,
+// technologies, and license when a project has several expressions) stay
+// arrays in JSON and are joined with "; " everywhere else; SPDX expressions
+// can contain commas and spaces, so ", " would be ambiguous.
+import { projectSlug } from './projects.js';
+
+// projects.json fields included in exports, in column order
+export const EXPORT_FIELDS = ['name', 'description', 'url', 'types', 'technologies', 'license', 'yearStarted', 'status', 'ltcSupported'];
+
+const LIST_SEPARATOR = '; ';
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function pickFields(project) {
+    return Object.fromEntries(EXPORT_FIELDS.map(field => [field, project[field]]));
+}
+
+function formatValue(value) {
+    return Array.isArray(value) ? value.join(LIST_SEPARATOR) : String(value);
+}
+
+// Quote per RFC 4180, and defuse values a spreadsheet would run as a formula
+function csvCell(value) {
+    let text = formatValue(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(projects) {
+    const rows = [EXPORT_FIELDS, ...projects.map(project => EXPORT_FIELDS.map(field => project[field]))];
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+export function toJson(projects) {
+    return JSON.stringify(projects.map(pickFields), null, 2) + '\n';
+}
+
+function markdownCell(value) {
+    return formatValue(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+// Percent-encode only what would end a Markdown link target or table cell
+// early; escapes already in the URL stay as they are
+function markdownUrl(url) {
+    return url.replace(/[\s()<>|]/g, c => (c === '(' ? '%28' : c === ')' ? '%29' : encodeURIComponent(c)));
+}
+
+/**
+ * @param {object[]} projects
+ * @param {{ getTypeLabel?: (type: string) => string }} [options]
+ */
+export function toMarkdown(projects, { getTypeLabel = type => type } = {}) {
+    const header = ['Name', 'Description', 'Types', 'Technologies', 'License', 'Status', 'Year Started', 'LTC Supported'];
+    const rows = projects.map(project => [
+        `[${markdownCell(project.name).replace(/[[\]]/g, '\\$&')}](${markdownUrl(project.url)})`,
+        markdownCell(project.description),
+        markdownCell(project.types.map(getTypeLabel)),
+        markdownCell(project.technologies),
+        markdownCell(toList(project.license)),
+        markdownCell(project.status),
+        project.yearStarted,
+        project.ltcSupported ? 'Yes' : 'No'
+    ]);
+    return [header, header.map(() => '---'), ...rows]
+        .map(row => `| ${row.join(' | ')} |`)
+        .join('\n') + '\n';
+}
+
+const BIBTEX_ESCAPES = {
+    '\\': '\\textbackslash{}',
+    '{': '\\{',
+    '}': '\\}',
+    '&': '\\&',
+    '%': '\\%',
+    '$': '\\$',
+    '#': '\\#',
+    '_': '\\_',
+    '^': '\\^{}',
+    '~': '\\~{}'
+};
+
+function bibtexText(value) {
+    return formatValue(value).replace(/[\\{}&%$#_^~]/g, c => BIBTEX_ESCAPES[c]).replace(/\s+/g, ' ');
+}
+
+/**
+ * One @software entry per project (biblatex / biblatex-software). Keys are
+ * the project slugs, with a numeric suffix if two ever collide.
+ */
+export function toBibtex(projects) {
+    const usedKeys = new Map();
+    return projects.map(project => {
+        const base = projectSlug(project) || 'project';
+        const count = (usedKeys.get(base) || 0) + 1;
+        usedKeys.set(base, count);
+        const key = count === 1 ? base : `${base}-${count}`;
+
+        const fields = [
+            // Double braces keep the project's capitalization
+            ['title', `{${bibtexText(project.name)}}`],
+            ['url', String(project.url).replace(/[{}\s]/g, encodeURIComponent)],
+            ['year', project.yearStarted],
+            ['license', bibtexText(toList(project.license))],
+            // biblatex splits keywords on commas
+            ['keywords', bibtexText(project.technologies.join(', '))],
+            ['abstract', bibtexText(project.description)],
+            ['note', `Status: ${bibtexText(project.status)}`]
+        ];
+        const body = fields
+            .filter(([, value]) => value !== '')
+            .map(([name, value]) => `  ${name} = {${value}}`)
+            .join(',\n');
+        return `@software{${key},\n${body}\n}\n`;
+    }).join('\n');
+}
+
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', serialize: toCsv },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json', serialize: toJson },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', serialize: toMarkdown },
+    bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex', serialize: toBibtex }
+};
@@ -0,0 +1,161 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Atom and RSS feeds of projects added to and updated in projects.json,
+// generated at build time by the feed plugin in vite.config.mjs.
+//
+// A project's dates come from its optional `dateAdded` / `dateUpdated` fields
+// and otherwise from the git history of projects.json: the first commit a
+// project appears in, and the last one that changed something a reader would
+// care about (see SIGNIFICANT_FIELDS).
+import { escapeHtml } from './html.js';
+import { projectSlug } from './projects.js';
+import { deriveStatus } from './statuses.js';
+
+// Edits to other fields (logo, yearStarted corrections) don't make a feed entry
+export const SIGNIFICANT_FIELDS = ['name', 'description', 'url', 'types', 'technologies', 'license', 'status', 'ltcSupported'];
+
+const DEFAULT_LIMIT = 50;
+
+// "2025-06-01" is taken as midnight UTC; git dates are already full timestamps
+function toDate(value) {
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function fingerprint(project) {
+    return JSON.stringify(SIGNIFICANT_FIELDS.map(field => project[field]));
+}
+
+/**
+ * Work out when each project was added and last significantly changed from
+ * successive versions of projects.json.
+ *
+ * @param {{ date: string, projects: object[] }[]} snapshots - Oldest first
+ * @returns {Map<string, { added: string, updated: string|null }>} Keyed by project slug
+ */
+export function projectDatesFromHistory(snapshots) {
+    const dates = new Map();
+    const fingerprints = new Map();
+    for (const { date, projects } of snapshots) {
+        if (!Array.isArray(projects)) continue;
+        for (const project of projects) {
+            if (!project || typeof project.name !== 'string') continue;
+            const slug = projectSlug(project);
+            const current = fingerprint(project);
+            if (!dates.has(slug)) {
+                dates.set(slug, { added: date, updated: null });
+            } else if (fingerprints.get(slug) !== current) {
+                dates.get(slug).updated = date;
+            }
+            fingerprints.set(slug, current);
+        }
+    }
+    return dates;
+}
+
+/**
+ * One entry per addition and one per (later) update, newest first.
+ *
+ * @param {object[]} projects - Current projects.json
+ * @param {Map<string, { added: string, updated: string|null }>} [history] - From projectDatesFromHistory
+ * @param {{ limit?: number, thresholds?: object }} [options] - `thresholds` (from lifecycle.json)
+ *   derive the status of a project that has none, as on the site
+ */
+export function buildFeedEntries(projects, history = new Map(), { limit = DEFAULT_LIMIT, thresholds } = {}) {
+    const entries = [];
+    for (const project of projects) {
+        const slug = projectSlug(project);
+        const status = project.status || deriveStatus(project, { thresholds })?.key || null;
+        const added = toDate(project.dateAdded ?? history.get(slug)?.added ?? '');
+        const updated = toDate(project.dateUpdated ?? history.get(slug)?.updated ?? '');
+        if (added) {
+            entries.push({ kind: 'added', project, slug, status, date: added });
+        }
+        if (updated && (!added || updated > added)) {
+            entries.push({ kind: 'updated', project, slug, status, date: updated });
+        }
+    }
+    return entries.sort((a, b) => b.date - a.date).slice(0, limit);
+}
+
+function entryTitle({ kind, project }) {
+    return `${kind === 'added' ? 'New project' : 'Updated'}: ${project.name}`;
+}
+
+function entryLink(siteUrl, { slug }) {
+    return `${siteUrl}#/project/${encodeURIComponent(slug)}`;
+}
+
+// tag: URIs (RFC 4151) stay stable even if the site moves
+function entryId(siteUrl, { kind, slug, date }) {
+    const day = date.toISOString().slice(0, 10);
+    return `tag:${new URL(siteUrl).host},${day}:project/${slug}/${kind}`;
+}
+
+function entryHtml({ project, status }) {
+    const licenses = Array.isArray(project.license) ? project.license : [project.license];
+    return `<p>${escapeHtml(project.description)}</p>
+<ul>
+${status ? `<li>Status: ${escapeHtml(status)}</li>\n` : ''}<li>Technologies: ${escapeHtml(project.technologies.join(', '))}</li>
+<li>License: ${escapeHtml(licenses.join('; '))}</li>
+</ul>
+<p><a href="${escapeHtml(project.url)}">${escapeHtml(project.url)}</a></p>`;
+}
+
+function feedUpdated(entries) {
+    return entries.length > 0 ? entries[0].date : new Date();
+}
+
+/**
+ * @param {ReturnType<typeof buildFeedEntries>} entries
+ * @param {{ siteUrl: string, title: string, subtitle: string, feedUrl: string }} feed
+ */
+export function toAtom(entries, { siteUrl, title, subtitle, feedUrl }) {
+    const items = entries.map(entry => `  <entry>
+    <title>${escapeHtml(entryTitle(entry))}</title>
+    <link rel="alternate" type="text/html" href="${escapeHtml(entryLink(siteUrl, entry))}"/>
+    <id>${escapeHtml(entryId(siteUrl, entry))}</id>
+    <updated>${entry.date.toISOString()}</updated>
+${entry.project.types.map(type => `    <category term="${escapeHtml(type)}"/>\n`).join('')}    <summary type="text">${escapeHtml(entry.project.description)}</summary>
+    <content type="html">${escapeHtml(entryHtml(entry))}</content>
+  </entry>
+`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(title)}</title>
+  <subtitle>${escapeHtml(subtitle)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeHtml(siteUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(feedUrl)}"/>
+  <id>${escapeHtml(siteUrl)}</id>
+  <updated>${feedUpdated(entries).toISOString()}</updated>
+  <author><name>LibreTech Collective</name></author>
+${items}</feed>
+`;
+}
+
+/**
+ * @param {ReturnType<typeof buildFeedEntries>} entries
+ * @param {{ siteUrl: string, title: string, subtitle: string, feedUrl: string }} feed
+ */
+export function toRss(entries, { siteUrl, title, subtitle, feedUrl }) {
+    const items = entries.map(entry => `    <item>
+      <title>${escapeHtml(entryTitle(entry))}</title>
+      <link>${escapeHtml(entryLink(siteUrl, entry))}</link>
+      <guid isPermaLink="false">${escapeHtml(entryId(siteUrl, entry))}</guid>
+      <pubDate>${entry.date.toUTCString()}</pubDate>
+${entry.project.types.map(type => `      <category>${escapeHtml(type)}</category>\n`).join('')}      <description>${escapeHtml(entryHtml(entry))}</description>
+    </item>
+`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(title)}</title>
+    <link>${escapeHtml(siteUrl)}</link>
+    <description>${escapeHtml(subtitle)}</description>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeHtml(feedUrl)}"/>
+    <lastBuildDate>${feedUpdated(entries).toUTCString()}</lastBuildDate>
+${items}  </channel>
+</rss>
+`;
+}
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Helpers shared by the forge adapters. Requests go through the `fetch` each
+// adapter is created with, so tests can point them at a local fixture server.
+
+/**
+ * Repository host and path in a web URL on one of `hosts`, e.g.
+ * https://github.com/borglab/gtsam/tree/develop -> { host: "github.com", path: "borglab/gtsam" }.
+ *
+ * @param {URL} url
+ * @param {string[]} hosts
+ * @param {{ nested?: boolean }} [options] - Allow subgroups (GitLab); the path then
+ *   runs up to the "/-/" that starts GitLab's own pages
+ * @returns {{ host: string, path: string }|null}
+ */
+export function matchRepositoryUrl(url, hosts, { nested = false } = {}) {
+    if (!['http:', 'https:'].includes(url.protocol) || !hosts.includes(url.host)) return null;
+    let segments = url.pathname.split('/').filter(Boolean);
+    if (nested) {
+        const end = segments.indexOf('-');
+        if (end !== -1) segments = segments.slice(0, end);
+    } else {
+        segments = segments.slice(0, 2);
+    }
+    if (segments.length < 2) return null;
+    segments[segments.length - 1] = segments[segments.length - 1].replace(/\.git$/, '');
+    return { host: url.host, path: segments.join('/') };
+}
+
+// Longest a forge may take to answer one request
+export const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * GET a JSON document.
+ *
+ * @param {typeof fetch} fetch
+ * @param {string} url
+ * @param {{ headers?: object, missing?: number[], timeoutMs?: number }} [options] - `missing`:
+ *   statuses that mean "nothing there" (e.g. 404 for a repository without releases)
+ * @returns {Promise<{ data: any, headers: Headers }|null>} null for a `missing` status
+ */
+export async function getJson(fetch, url, { headers = {}, missing = [], timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    try {
+        // The signal also cuts off a body that stops arriving halfway
+        const response = await fetch(url, {
+            headers: { Accept: 'application/json', ...headers },
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        if (missing.includes(response.status)) return null;
+        if (!response.ok) throw new Error(`GET ${url}: HTTP ${response.status}`);
+        return { data: await response.json(), headers: response.headers };
+    } catch (error) {
+        if (error.name === 'TimeoutError') throw new Error(`GET ${url}: timed out after ${timeoutMs} ms`);
+        throw error;
+    }
+}
+
+// Number of items in a paginated list, fetched `perPage` at a time. Lists
+// longer than `maxPages` pages are cut off rather than crawled.
+export async function countAllPages(fetch, url, { headers, timeoutMs, perPage = 100, maxPages = 20, pageParam = 'page', perPageParam = 'per_page', missing } = {}) {
+    let count = 0;
+    for (let page = 1; page <= maxPages; page++) {
+        const separator = url.includes('?') ? '&' : '?';
+        const result = await getJson(fetch, `${url}${separator}${perPageParam}=${perPage}&${pageParam}=${page}`, { headers, timeoutMs, missing });
+        const items = result?.data || [];
+        count += items.length;
+        if (items.length < perPage) break;
+    }
+    return count;
+}
+
+// Page number of rel="last" in a Link header, or null
+export function lastPageFromLink(link) {
+    const last = (link || '').split(',').find(part => /rel="last"/.test(part));
+    const page = last && /[?&]page=(\d+)/.exec(last);
+    return page ? Number(page[1]) : null;
+}
+
+// YYYY-MM-DD (UTC) of a timestamp, or null
+export function calendarDate(timestamp) {
+    if (!timestamp) return null;
+    const date = new Date(timestamp);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,78 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Plain git adapter: a bare, blobless clone of the repository into a temporary
+// directory, read with git log and deleted afterwards. Works with any git
+// host, and with local bare repositories (file:// URLs). There are no stars,
+// and the latest release is the most recently created tag.
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { REPOSITORY_PROTOCOLS } from '../repositories.js';
+import { calendarDate } from './common.js';
+
+const run = promisify(execFile);
+
+// Whatever projects.json may name as `repository`, plus local bare
+// repositories for offline fixtures
+const CLONE_PROTOCOLS = [...REPOSITORY_PROTOCOLS, 'file:'];
+
+// Longest a single git command (in practice, the clone) may take
+export const DEFAULT_GIT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// A repository that asks for credentials is reported as failed rather than
+// waiting for someone to type them in
+const NON_INTERACTIVE_ENV = {
+    GIT_TERMINAL_PROMPT: '0',
+    GIT_ASKPASS: 'echo',
+    SSH_ASKPASS: 'echo',
+    GIT_SSH_COMMAND: 'ssh -o BatchMode=yes'
+};
+
+/**
+ * @param {{ git?: string, tmpDir?: string, timeoutMs?: number }} [options] - The git binary, where to
+ *   clone, and the longest a git command may take
+ */
+export function createGitAdapter({ git = 'git', tmpDir = os.tmpdir(), timeoutMs = DEFAULT_GIT_TIMEOUT_MS } = {}) {
+    const options = { timeout: timeoutMs, env: { ...process.env, ...NON_INTERACTIVE_ENV }, maxBuffer: 64 * 1024 * 1024 };
+    const runGit = async args => {
+        try {
+            return (await run(git, args, options)).stdout.trim();
+        } catch (error) {
+            if (error.killed) throw new Error(`git ${args[0] === '-C' ? args[2] : args[0]}: timed out after ${timeoutMs} ms`);
+            throw error;
+        }
+    };
+    const gitIn = (dir, args) => runGit(['-C', dir, ...args]);
+
+    return {
+        name: 'git',
+        // Any URL set as `repository`; a project's website only if it ends in .git
+        match: (url, { explicit = false } = {}) =>
+            CLONE_PROTOCOLS.includes(url.protocol) && (explicit || url.pathname.endsWith('.git'))
+                ? { url: url.href }
+                : null,
+        async collect({ url }) {
+            const dir = await fs.mkdtemp(path.join(tmpDir, 'librelinker-enrich-'));
+            try {
+                await runGit(['clone', '--bare', '--quiet', '--filter=blob:none', '--', url, dir]);
+                // An empty repository has no HEAD to log
+                const empty = !(await gitIn(dir, ['rev-parse', '--all']));
+                if (empty) return { lastCommit: null, contributors: 0, stars: null, archived: null, release: null };
+                const authors = await gitIn(dir, ['log', '--format=%aE', 'HEAD']);
+                const [tag, tagDate] = (await gitIn(dir, [
+                    'for-each-ref', '--sort=-creatordate', '--count=1', '--format=%(refname:short)%09%(creatordate:iso-strict)', 'refs/tags'
+                ])).split('\t');
+                return {
+                    lastCommit: calendarDate(await gitIn(dir, ['log', '-1', '--format=%cI', 'HEAD'])),
+                    contributors: new Set(authors.split('\n').map(email => email.toLowerCase())).size,
+                    stars: null,
+                    archived: null,
+                    release: tag ? { name: tag, tag, date: calendarDate(tagDate), url: null } : null
+                };
+            } finally {
+                await fs.rm(dir, { recursive: true, force: true });
+            }
+        }
+    };
+}
@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Gitea and Forgejo adapter, for Codeberg, gitea.com and (through `hosts`)
+// self-hosted instances. Their API has no list of contributors, so the count
+// is of distinct commit authors, from at most the latest 1000 commits.
+import { DEFAULT_TIMEOUT_MS, calendarDate, getJson, matchRepositoryUrl } from './common.js';
+
+const COMMIT_PAGE_SIZE = 50;
+const MAX_COMMIT_PAGES = 20;
+
+/**
+ * @param {{ hosts?: string[], apiUrl?: string, token?: string, fetch?: typeof fetch, timeoutMs?: number }} [options] -
+ *   `timeoutMs` limits each request; `apiUrl` replaces the API root of every host (e.g. a fixture server)
+ */
+export function createGiteaAdapter({ hosts = ['codeberg.org', 'gitea.com'], apiUrl, token, fetch = globalThis.fetch, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const headers = token ? { Authorization: `token ${token}` } : {};
+    const apiRoot = host => apiUrl || `https://${host}/api/v1`;
+
+    return {
+        name: 'gitea',
+        match: url => matchRepositoryUrl(url, hosts),
+        async collect({ host, path }) {
+            const base = `${apiRoot(host)}/repos/${path}`;
+            const { data: repository } = await getJson(fetch, base, { headers, timeoutMs });
+            const authors = new Set();
+            let lastCommit = null;
+            for (let page = 1; page <= MAX_COMMIT_PAGES; page++) {
+                // 409: the repository is empty
+                const commits = await getJson(fetch, `${base}/commits?stat=false&verification=false&files=false&limit=${COMMIT_PAGE_SIZE}&page=${page}`, { headers, timeoutMs, missing: [409] });
+                const items = commits?.data || [];
+                if (page === 1) lastCommit = calendarDate(items[0]?.commit.committer.date);
+                for (const item of items) authors.add(item.author?.login || item.commit.author.email.toLowerCase());
+                if (items.length < COMMIT_PAGE_SIZE) break;
+            }
+            const release = await getJson(fetch, `${base}/releases/latest`, { headers, timeoutMs, missing: [404] });
+            return {
+                lastCommit,
+                contributors: authors.size,
+                stars: repository.stars_count,
+                archived: repository.archived,
+                release: release && {
+                    name: release.data.name || release.data.tag_name,
+                    tag: release.data.tag_name,
+                    date: calendarDate(release.data.published_at),
+                    url: release.data.html_url
+                }
+            };
+        }
+    };
+}
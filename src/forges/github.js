@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// GitHub adapter, for github.com and (through `hosts`) GitHub Enterprise.
+import { DEFAULT_TIMEOUT_MS, calendarDate, getJson, lastPageFromLink, matchRepositoryUrl } from './common.js';
+
+/**
+ * @param {{ hosts?: string[], apiUrl?: string, token?: string, fetch?: typeof fetch, timeoutMs?: number }} [options] -
+ *   `timeoutMs` limits each request; `apiUrl` replaces the REST API root of every host (e.g. a fixture server)
+ */
+export function createGitHubAdapter({ hosts = ['github.com'], apiUrl, token, fetch = globalThis.fetch, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const headers = {
+        Accept: 'application/vnd.github+json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+    };
+    const apiRoot = host => apiUrl || (host === 'github.com' ? 'https://api.github.com' : `https://${host}/api/v3`);
+
+    return {
+        name: 'github',
+        match: url => matchRepositoryUrl(url, hosts),
+        async collect({ host, path }) {
+            const base = `${apiRoot(host)}/repos/${path}`;
+            const { data: repository } = await getJson(fetch, base, { headers, timeoutMs });
+            // 409: the repository is empty
+            const commits = await getJson(fetch, `${base}/commits?per_page=1`, { headers, timeoutMs, missing: [409] });
+            // One contributor per page, so the last page number is the count. 204: empty repository
+            const contributors = await getJson(fetch, `${base}/contributors?per_page=1&anon=1`, { headers, timeoutMs, missing: [204] });
+            const release = await getJson(fetch, `${base}/releases/latest`, { headers, timeoutMs, missing: [404] });
+            return {
+                lastCommit: calendarDate(commits?.data[0]?.commit.committer.date),
+                contributors: contributors
+                    ? lastPageFromLink(contributors.headers.get('link')) ?? contributors.data.length
+                    : 0,
+                stars: repository.stargazers_count,
+                archived: repository.archived,
+                release: release && {
+                    name: release.data.name || release.data.tag_name,
+                    tag: release.data.tag_name,
+                    date: calendarDate(release.data.published_at),
+                    url: release.data.html_url
+                }
+            };
+        }
+    };
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// GitLab adapter, for gitlab.com and (through `hosts`) self-managed instances.
+import { DEFAULT_TIMEOUT_MS, calendarDate, countAllPages, getJson, matchRepositoryUrl } from './common.js';
+
+/**
+ * @param {{ hosts?: string[], apiUrl?: string, token?: string, fetch?: typeof fetch, timeoutMs?: number }} [options] -
+ *   `timeoutMs` limits each request; `apiUrl` replaces the API root of every host (e.g. a fixture server)
+ */
+export function createGitLabAdapter({ hosts = ['gitlab.com'], apiUrl, token, fetch = globalThis.fetch, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const headers = token ? { 'PRIVATE-TOKEN': token } : {};
+    const apiRoot = host => apiUrl || `https://${host}/api/v4`;
+
+    return {
+        name: 'gitlab',
+        match: url => matchRepositoryUrl(url, hosts, { nested: true }),
+        async collect({ host, path }) {
+            const base = `${apiRoot(host)}/projects/${encodeURIComponent(path)}`;
+            const { data: project } = await getJson(fetch, base, { headers, timeoutMs });
+            // 404: the repository is empty
+            const commits = await getJson(fetch, `${base}/repository/commits?per_page=1`, { headers, timeoutMs, missing: [404] });
+            // 403: releases are turned off or private; 404: none visible
+            const releases = await getJson(fetch, `${base}/releases?per_page=1`, { headers, timeoutMs, missing: [403, 404] });
+            const release = releases?.data[0];
+            return {
+                lastCommit: calendarDate(commits?.data[0]?.committed_date),
+                contributors: await countAllPages(fetch, `${base}/repository/contributors`, { headers, timeoutMs, missing: [404] }),
+                stars: project.star_count,
+                archived: project.archived,
+                release: release ? {
+                    name: release.name || release.tag_name,
+                    tag: release.tag_name,
+                    date: calendarDate(release.released_at),
+                    url: release._links?.self || null
+                } : null
+            };
+        }
+    };
+}
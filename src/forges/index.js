@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Forge adapters for the enrichment command (scripts/enrich.mjs; see
+// src/enrichment.js). An adapter is
+//
+//   {
+//     name: string,
+//     // What collect() needs to find the repository at `url`, or null if this
+//     // adapter doesn't handle it. `explicit` is true for a project's
+//     // `repository` field, false when falling back to its website `url`.
+//     match(url: URL, { explicit: boolean }): object | null,
+//     // Metadata of the repository (see ForgeStats in src/enrichment.js)
+//     collect(match: object): Promise<ForgeStats>
+//   }
+//
+// Adapters are tried in order and the first match wins, so the plain git
+// adapter, which can clone anything, comes last.
+import { createGitAdapter } from './git.js';
+import { createGiteaAdapter } from './gitea.js';
+import { createGitHubAdapter } from './github.js';
+import { createGitLabAdapter } from './gitlab.js';
+
+export const FORGES = {
+    github: createGitHubAdapter,
+    gitlab: createGitLabAdapter,
+    gitea: createGiteaAdapter
+};
+
+// Hosts each forge handles without being told
+export const DEFAULT_FORGE_HOSTS = {
+    github: ['github.com'],
+    gitlab: ['gitlab.com'],
+    gitea: ['codeberg.org', 'gitea.com']
+};
+
+/**
+ * The adapters in the order they're tried.
+ *
+ * @param {object} [options]
+ * @param {Record<string, string[]>} [options.hosts] - Extra hosts per forge, e.g. { gitlab: ['gitlab.example.edu'] }
+ * @param {Record<string, string>} [options.apiUrls] - API root per forge, replacing the real one (for fixture servers)
+ * @param {Record<string, string>} [options.tokens] - Access token per forge, for higher rate limits
+ * @param {typeof fetch} [options.fetch]
+ * @param {number} [options.timeoutMs] - Longest a forge API request may take
+ * @param {{ git?: string, tmpDir?: string, timeoutMs?: number }} [options.git] - Options of the plain git adapter
+ */
+export function createForgeAdapters({ hosts = {}, apiUrls = {}, tokens = {}, fetch = globalThis.fetch, timeoutMs, git = {} } = {}) {
+    return [
+        ...Object.entries(FORGES).map(([name, create]) => create({
+            hosts: [...DEFAULT_FORGE_HOSTS[name], ...(hosts[name] || [])],
+            apiUrl: apiUrls[name],
+            token: tokens[name],
+            fetch,
+            timeoutMs
+        })),
+        createGitAdapter(git)
+    ];
+}
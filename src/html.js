@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Helpers for building HTML strings.
+
+// Escape text for use in element content or a quoted attribute value
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const SAFE_PROTOCOLS = ['http:', 'https:'];
+
+// The URL if it is an absolute http(s) URL, otherwise null (rules out
+// javascript:, data: and the like before a value ends up in an href)
+export function safeUrl(url) {
+    try {
+        const parsed = new URL(String(url).trim());
+        return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,163 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Interface translations: the message catalogs in src/locales/, the active
+// locale, and number, date and list formatting through Intl.
+//
+// Messages are looked up by key, e.g. t('detail.visit', { name }). A message
+// is a string with {placeholders}, or, when it depends on a number, an object
+// of Intl.PluralRules categories ({ one, other, ... }) picked by the `count`
+// parameter. Messages missing from a catalog fall back to English.
+//
+// Static markup is translated by translateDocument from data attributes:
+//   data-i18n="key"              sets the element's text
+//   data-i18n-html="key"         sets its HTML (for messages with links; no parameters)
+//   data-i18n-attr="title:key;aria-label:key"
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+export const LOCALES = [
+    { code: 'en', name: 'English', messages: en },
+    { code: 'es', name: 'Español', messages: es }
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+// Saved in localStorage like the theme and layout
+const STORAGE_KEY = 'locale';
+
+let currentLocale = DEFAULT_LOCALE;
+
+function getCatalog(code) {
+    return LOCALES.find(locale => locale.code === code)?.messages || null;
+}
+
+// Intl objects are slow to create, so keep one per locale and options
+const formatters = new Map();
+function getFormatter(Formatter, locale, options = {}) {
+    const key = `${Formatter.name} ${locale} ${JSON.stringify(options)}`;
+    if (!formatters.has(key)) formatters.set(key, new Formatter(locale, options));
+    return formatters.get(key);
+}
+
+/**
+ * The supported locale for a language tag ("es-MX" -> "es"), or null.
+ *
+ * @param {string|null|undefined} tag - BCP 47 language tag
+ */
+export function matchLocale(tag) {
+    if (!tag) return null;
+    const [language] = tag.toLowerCase().split('-');
+    return LOCALES.find(locale => locale.code === tag.toLowerCase())?.code ||
+        LOCALES.find(locale => locale.code === language)?.code ||
+        null;
+}
+
+/**
+ * The locale to start in: the visitor's saved choice, then the first of their
+ * browser languages with a catalog, then English.
+ */
+export function detectLocale() {
+    const saved = matchLocale(localStorage.getItem(STORAGE_KEY));
+    if (saved) return saved;
+    const languages = navigator.languages?.length ? navigator.languages : [navigator.language];
+    for (const language of languages) {
+        const match = matchLocale(language);
+        if (match) return match;
+    }
+    return DEFAULT_LOCALE;
+}
+
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Switch the interface language. Unknown codes fall back to English. Pass
+ * `save` when the visitor picked the locale, so it sticks across visits.
+ * Already-rendered text isn't touched; see translateDocument.
+ */
+export function setLocale(code, { save = false } = {}) {
+    currentLocale = getCatalog(code) ? code : DEFAULT_LOCALE;
+    if (save) localStorage.setItem(STORAGE_KEY, currentLocale);
+    document.documentElement.lang = currentLocale;
+    return currentLocale;
+}
+
+// Numbers in parameters are formatted for the locale; pass years and other
+// identifiers as strings so they aren't grouped ("2,024")
+function formatParam(value) {
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+}
+
+/**
+ * Translate a message key into the current locale.
+ *
+ * @param {string} key
+ * @param {Record<string, string|number>} [params] - Values for {placeholders}; `count` also picks the plural form
+ * @returns {string} The message, or the key itself if no catalog has it
+ */
+export function t(key, params = {}) {
+    let locale = currentLocale;
+    let message = getCatalog(locale)[key];
+    if (message === undefined) {
+        locale = DEFAULT_LOCALE;
+        message = getCatalog(locale)[key];
+    }
+    if (message === undefined) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+    if (typeof message === 'object') {
+        const category = getFormatter(Intl.PluralRules, locale).select(params.count ?? 0);
+        message = message[category] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        (name in params ? formatParam(params[name]) : placeholder));
+}
+
+export function formatNumber(value, options) {
+    return getFormatter(Intl.NumberFormat, currentLocale, options).format(value);
+}
+
+/**
+ * Format a date for the current locale. Strings are calendar dates
+ * (YYYY-MM-DD, as in projects.json) and are formatted in UTC so they don't
+ * shift by a day in the visitor's time zone.
+ *
+ * @param {Date|string} value
+ * @param {Intl.DateTimeFormatOptions} [options]
+ */
+export function formatDate(value, options = { dateStyle: 'long' }) {
+    const date = typeof value === 'string' ? new Date(`${value}T00:00:00Z`) : value;
+    return getFormatter(Intl.DateTimeFormat, currentLocale, { ...options, timeZone: 'UTC' }).format(date);
+}
+
+// "a, b, or c" in the current locale; `type` is 'conjunction' (and) or 'disjunction' (or)
+export function formatList(items, { type = 'conjunction' } = {}) {
+    return getFormatter(Intl.ListFormat, currentLocale, { type }).format(items);
+}
+
+/**
+ * Apply the current locale to static markup marked with data-i18n,
+ * data-i18n-html and data-i18n-attr (see the top of this file).
+ *
+ * @param {ParentNode} [root]
+ */
+export function translateDocument(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        element.innerHTML = t(element.dataset.i18nHtml);
+        // Catalogs only hold the link targets; open them like the page's other external links
+        element.querySelectorAll('a[href^="http"]').forEach(link => {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        });
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            element.setAttribute(attribute, t(key));
+        });
+    });
+}
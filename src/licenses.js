@@ -0,0 +1,227 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX license expression parsing and license-family classification.
+//
+// Parsed expressions use the same tree shape as spdx-expression-parse:
+//   { license: 'MIT' }
+//   { license: 'Apache-2.0', exception: 'LLVM-exception' }
+//   { license: 'GPL-2.0', plus: true }
+//   { conjunction: 'or', left: <node>, right: <node> }
+
+export const LICENSE_FAMILIES = [
+    { key: 'permissive', label: 'Permissive' },
+    { key: 'weak-copyleft', label: 'Weak copyleft' },
+    { key: 'strong-copyleft', label: 'Strong copyleft' },
+    { key: 'public-domain', label: 'Public domain' }
+];
+
+// Known licenses, keyed by SPDX id without the -only / -or-later suffix.
+// `label` overrides the id when displayed, `fsf` the FSF directory page name.
+const LICENSES = {
+    '0BSD': { family: 'permissive' },
+    'AFL-3.0': { family: 'permissive' },
+    'AGPL-3.0': { family: 'strong-copyleft' },
+    'Apache-2.0': { family: 'permissive' },
+    'Artistic-2.0': { family: 'permissive' },
+    'BSD-2-Clause': { family: 'permissive' },
+    'BSD-3-Clause': { family: 'permissive' },
+    'BSD-3-Clause-Clear': { family: 'permissive' },
+    'BSL-1.0': { family: 'permissive' },
+    'CC-BY-4.0': { family: 'permissive' },
+    'CC-BY-SA-4.0': { family: 'strong-copyleft' },
+    'CC0-1.0': { family: 'public-domain' },
+    'CDDL-1.0': { family: 'weak-copyleft' },
+    'CECILL-2.1': { family: 'strong-copyleft' },
+    'ECL-2.0': { family: 'permissive' },
+    'EPL-2.0': { family: 'weak-copyleft' },
+    'EUPL-1.2': { family: 'strong-copyleft' },
+    'GFDL-1.3': { family: 'strong-copyleft' },
+    'GPL-2.0': { family: 'strong-copyleft' },
+    'GPL-3.0': { family: 'strong-copyleft' },
+    'ISC': { family: 'permissive' },
+    'LGPL-2.1': { family: 'weak-copyleft' },
+    'LGPL-3.0': { family: 'weak-copyleft' },
+    'MIT': { family: 'permissive' },
+    'MPL-2.0': { family: 'weak-copyleft' },
+    'NCSA': { family: 'permissive' },
+    'OFL-1.1': { family: 'weak-copyleft' },
+    'PostgreSQL': { family: 'permissive' },
+    'Python-2.0': { family: 'permissive' },
+    'Unlicense': { family: 'public-domain' },
+    'UPL-1.0': { family: 'permissive' },
+    'Zlib': { family: 'permissive' },
+    'LicenseRef-Public-Domain': { family: 'public-domain', label: 'Public Domain', fsf: 'PublicDomain' }
+};
+
+// Known SPDX license exceptions. `weakens`: a linking exception that relaxes
+// a strong copyleft license to weak copyleft
+const EXCEPTIONS = {
+    'Autoconf-exception-3.0': { weakens: false },
+    'Bison-exception-2.2': { weakens: false },
+    'Classpath-exception-2.0': { weakens: true },
+    'Font-exception-2.0': { weakens: false },
+    'GCC-exception-3.1': { weakens: true },
+    'LLVM-exception': { weakens: true },
+    'Linux-syscall-note': { weakens: true }
+};
+
+const TOKEN_PATTERN = /\s*(\(|\)|\+|[A-Za-z0-9.:-]+)/y;
+
+function tokenize(expression) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < expression.length) {
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(expression);
+        if (!match) {
+            if (!expression.slice(start).trim()) break;
+            throw new SyntaxError(`Unexpected character "${expression[start]}" at position ${start} in "${expression}"`);
+        }
+        tokens.push(match[1]);
+    }
+    return tokens;
+}
+
+/**
+ * Parse an SPDX license expression such as "GPL-3.0-or-later OR MIT" or
+ * "Apache-2.0 WITH LLVM-exception".
+ *
+ * @param {string} expression
+ * @returns {object} Expression tree
+ * @throws {SyntaxError} If the expression is malformed
+ */
+export function parseLicenseExpression(expression) {
+    const tokens = tokenize(String(expression));
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isKeyword = (token, keyword) => typeof token === 'string' && token.toUpperCase() === keyword;
+    const fail = (message) => {
+        throw new SyntaxError(`${message} in "${expression}"`);
+    };
+
+    const parseSimple = () => {
+        const token = tokens[pos++];
+        if (token === undefined) fail('Unexpected end of expression');
+        if (token === '(') {
+            const node = parseOr();
+            if (tokens[pos++] !== ')') fail('Missing closing parenthesis');
+            return node;
+        }
+        if (token === ')' || token === '+' || ['AND', 'OR', 'WITH'].some(k => isKeyword(token, k))) {
+            fail(`Unexpected "${token}"`);
+        }
+        const node = { license: token };
+        if (peek() === '+') {
+            pos++;
+            node.plus = true;
+        }
+        if (isKeyword(peek(), 'WITH')) {
+            pos++;
+            const exception = tokens[pos++];
+            if (!exception || exception === '(' || exception === ')') fail('Expected an exception after WITH');
+            node.exception = exception;
+        }
+        return node;
+    };
+
+    const parseAnd = () => {
+        let left = parseSimple();
+        while (isKeyword(peek(), 'AND')) {
+            pos++;
+            left = { conjunction: 'and', left, right: parseSimple() };
+        }
+        return left;
+    };
+
+    const parseOr = () => {
+        let left = parseAnd();
+        while (isKeyword(peek(), 'OR')) {
+            pos++;
+            left = { conjunction: 'or', left, right: parseAnd() };
+        }
+        return left;
+    };
+
+    if (tokens.length === 0) fail('Empty license expression');
+    const tree = parseOr();
+    if (pos < tokens.length) fail(`Unexpected "${tokens[pos]}"`);
+    return tree;
+}
+
+// Flatten a tree into its license leaves, left to right
+export function licensesInTree(tree) {
+    if (tree.conjunction) {
+        return [...licensesInTree(tree.left), ...licensesInTree(tree.right)];
+    }
+    return [tree];
+}
+
+function baseLicenseId(id) {
+    return id.replace(/-(only|or-later)$/, '').replace(/\+$/, '');
+}
+
+export function getLicenseMetadata(id) {
+    return LICENSES[id] || LICENSES[baseLicenseId(id)] || null;
+}
+
+/**
+ * Classify a single license (optionally with an exception) into one of the
+ * LICENSE_FAMILIES keys. Returns null for licenses we don't know about.
+ */
+export function getLicenseFamily(id, exception) {
+    const metadata = getLicenseMetadata(id);
+    if (!metadata) return null;
+    if (metadata.family === 'strong-copyleft' && isKnownException(exception) && EXCEPTIONS[exception].weakens) {
+        return 'weak-copyleft';
+    }
+    return metadata.family;
+}
+
+export function isKnownException(id) {
+    return Object.hasOwn(EXCEPTIONS, id);
+}
+
+export function getLicenseLabel(id) {
+    return getLicenseMetadata(id)?.label || id;
+}
+
+export function getFsfDirectoryUrl(id) {
+    const page = getLicenseMetadata(id)?.fsf || id.replace(/\s+/g, '');
+    return `https://directory.fsf.org/wiki/License:${page}`;
+}
+
+/**
+ * Parse a project's `license` field. Strings are single SPDX expressions;
+ * arrays list the expressions covering different parts of a project and
+ * are treated as applying together.
+ *
+ * @param {string|string[]} license
+ * @returns {{ expressions: { source: string, tree: object }[], licenses: { id: string, exception?: string, family: string|null }[], families: string[] }}
+ * @throws {SyntaxError} If any expression is malformed
+ */
+export function parseProjectLicense(license) {
+    const sources = Array.isArray(license) ? license : [license];
+    const expressions = sources.map(source => ({ source, tree: parseLicenseExpression(source) }));
+
+    const licenses = [];
+    const seen = new Set();
+    for (const { tree } of expressions) {
+        for (const leaf of licensesInTree(tree)) {
+            const id = leaf.plus ? `${leaf.license}+` : leaf.license;
+            const key = `${id} ${leaf.exception || ''}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            licenses.push({
+                id,
+                ...(leaf.exception ? { exception: leaf.exception } : {}),
+                family: getLicenseFamily(leaf.license, leaf.exception)
+            });
+        }
+    }
+
+    const families = LICENSE_FAMILIES
+        .map(f => f.key)
+        .filter(key => licenses.some(l => l.family === key));
+
+    return { expressions, licenses, families };
+}
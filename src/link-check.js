@@ -0,0 +1,233 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Health check of what the catalog links to, run by scripts/check-links.mjs:
+// local assets (logos, icons and images under misc/) must exist, and remote
+// links (project sites, repositories, releases and the FSF license pages the
+// detail view links to) must still resolve. Requests go through the `fetch`
+// passed in, so tests can answer them from a local stub server.
+import { prepareProject } from './catalog.js';
+import { mapConcurrent } from './concurrency.js';
+import { safeUrl } from './html.js';
+import { getFsfDirectoryUrl } from './licenses.js';
+
+// Local asset paths as they appear in pages, the manifest and app.js
+const ASSET_PATTERN = /\bmisc\/[\w./-]+\.[a-z0-9]+/gi;
+
+// Worth another try: the server may just be busy
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Some servers refuse HEAD; those statuses are retried as GET
+const HEAD_REFUSED_STATUSES = [403, 405, 501];
+
+// A link that redirects with one of these has moved, and its URL should be updated
+const PERMANENT_REDIRECTS = [301, 308];
+
+const USER_AGENT = 'LibreLinker link checker (+https://librelinker.us/)';
+
+/**
+ * Local files the site needs, with what refers to each.
+ *
+ * @param {object[]} projects - Entries from projects.json
+ * @param {Record<string, string>} sources - Other files to scan for misc/ paths, by name
+ * @returns {{ path: string, referencedBy: string[] }[]}
+ */
+export function collectAssets(projects, sources = {}) {
+    const assets = new Map();
+    const add = (path, by) => {
+        if (!assets.has(path)) assets.set(path, new Set());
+        assets.get(path).add(by);
+    };
+    for (const project of projects) {
+        if (project.logo) add(project.logo, `projects.json "${project.name}" logo`);
+    }
+    for (const [file, text] of Object.entries(sources)) {
+        for (const [path] of text.matchAll(ASSET_PATTERN)) add(path, file);
+    }
+    return [...assets].map(([path, by]) => ({ path, referencedBy: [...by] }));
+}
+
+/**
+ * Remote URLs the catalog links to, each listed once with every project and
+ * field that uses it.
+ *
+ * @param {object[]} projects - Entries from projects.json, with `forge` if enriched
+ * @returns {{ url: string, referencedBy: string[] }[]}
+ */
+export function collectLinks(projects) {
+    const links = new Map();
+    const add = (url, by) => {
+        if (!url) return;
+        if (!links.has(url)) links.set(url, new Set());
+        links.get(url).add(by);
+    };
+    for (const project of projects.map(entry => prepareProject({ ...entry }))) {
+        const label = `"${project.name}"`;
+        add(project.href, `${label} url`);
+        // git:// and ssh:// repositories have no page to check
+        add(safeUrl(project.repository), `${label} repository`);
+        add(project.forge?.release?.url, `${label} release`);
+        for (const license of project.licenseInfo?.licenses || []) {
+            add(getFsfDirectoryUrl(license.id), `${label} license ${license.id}`);
+        }
+    }
+    return [...links].map(([url, by]) => ({ url, referencedBy: [...by] }));
+}
+
+/**
+ * Check that local assets exist.
+ *
+ * @param {{ path: string, referencedBy: string[] }[]} assets
+ * @param {(path: string) => boolean} fileExists
+ */
+export function checkAssets(assets, fileExists) {
+    return assets.map(asset => ({ ...asset, ok: fileExists(asset.path) }));
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check one URL, following redirects by hand so each hop is recorded.
+ *
+ * - `ok`: answered with a success status, directly or through temporary redirects
+ * - `moved`: answered, but through a permanent redirect; the link should be updated
+ * - `broken`: an error status, a network error or timeout on every attempt, or a redirect loop
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {typeof fetch} [options.fetch]
+ * @param {number} [options.timeoutMs] - Per request
+ * @param {number} [options.retries] - Extra attempts after a network error, timeout or busy status
+ * @param {number} [options.retryDelayMs] - Wait before the first retry; doubles after each
+ * @param {number} [options.maxRedirects]
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ * @returns {Promise<{ url: string, result: 'ok'|'moved'|'broken', status: number|null, error: string|null, finalUrl: string, redirects: { status: number, location: string }[], attempts: number }>}
+ */
+export async function checkUrl(url, {
+    fetch = globalThis.fetch,
+    timeoutMs = 10000,
+    retries = 2,
+    retryDelayMs = 1000,
+    maxRedirects = 5,
+    sleep = wait
+} = {}) {
+    const redirects = [];
+    let attempts = 0;
+    let current = url;
+
+    const request = async (method) => {
+        const response = await fetch(current, {
+            method,
+            redirect: 'manual',
+            headers: { 'User-Agent': USER_AGENT },
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        // Only the status and headers are needed
+        await response.body?.cancel().catch(() => {});
+        return response;
+    };
+
+    // One hop, with retries
+    const attempt = async () => {
+        let error = null;
+        for (let i = 0; i <= retries; i++) {
+            if (i > 0) await sleep(retryDelayMs * 2 ** (i - 1));
+            attempts++;
+            try {
+                let response = await request('HEAD');
+                if (HEAD_REFUSED_STATUSES.includes(response.status)) response = await request('GET');
+                if (!RETRY_STATUSES.includes(response.status) || i === retries) return { response };
+            } catch (caught) {
+                error = caught.name === 'TimeoutError' ? `timed out after ${timeoutMs} ms` : caught.cause?.message || caught.message;
+            }
+        }
+        return { error };
+    };
+
+    const result = (outcome, status, error) => ({ url, result: outcome, status, error, finalUrl: current, redirects, attempts });
+
+    for (;;) {
+        const { response, error } = await attempt();
+        if (!response) return result('broken', null, error);
+
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+            if (redirects.length === maxRedirects) return result('broken', response.status, `more than ${maxRedirects} redirects`);
+            current = new URL(location, current).href;
+            redirects.push({ status: response.status, location: current });
+            continue;
+        }
+        if (!response.ok) return result('broken', response.status, `HTTP ${response.status}`);
+        const moved = redirects.some(redirect => PERMANENT_REDIRECTS.includes(redirect.status));
+        return result(moved ? 'moved' : 'ok', response.status, null);
+    }
+}
+
+/**
+ * Check every link, at most `concurrency` at a time.
+ *
+ * @param {{ url: string, referencedBy: string[] }[]} links
+ * @param {{ concurrency?: number, onResult?: (result: object) => void } & Parameters<typeof checkUrl>[1]} [options]
+ */
+export async function checkLinks(links, { concurrency = 8, onResult = () => {}, ...options } = {}) {
+    return mapConcurrent(links, concurrency, async (link) => {
+        const result = { ...link, ...(await checkUrl(link.url, options)) };
+        onResult(result);
+        return result;
+    });
+}
+
+/**
+ * The machine-readable report.
+ *
+ * @param {{ assets: object[], links: object[]|null, now?: Date }} results - `links` is null when remote links weren't checked
+ */
+export function buildReport({ assets, links, now = new Date() }) {
+    const count = (list, predicate) => list.filter(predicate).length;
+    return {
+        checkedAt: now.toISOString(),
+        summary: {
+            assets: { total: assets.length, missing: count(assets, asset => !asset.ok) },
+            links: links && {
+                total: links.length,
+                ok: count(links, link => link.result === 'ok'),
+                moved: count(links, link => link.result === 'moved'),
+                broken: count(links, link => link.result === 'broken')
+            }
+        },
+        assets,
+        links
+    };
+}
+
+// Whether the report should fail the command: moved links are only a warning
+export function hasFailures(report) {
+    return report.summary.assets.missing > 0 || (report.summary.links?.broken ?? 0) > 0;
+}
+
+/**
+ * The report for people: what's missing, broken or moved, then the totals.
+ *
+ * @param {ReturnType<typeof buildReport>} report
+ * @returns {string}
+ */
+export function formatSummary(report) {
+    const lines = [];
+    const referenced = by => `      used by ${by.join(', ')}`;
+    for (const asset of report.assets.filter(asset => !asset.ok)) {
+        lines.push(`MISSING ${asset.path}`, referenced(asset.referencedBy));
+    }
+    for (const link of report.links || []) {
+        if (link.result === 'broken') {
+            lines.push(`BROKEN  ${link.url} (${link.error})`, referenced(link.referencedBy));
+        } else if (link.result === 'moved') {
+            lines.push(`MOVED   ${link.url} -> ${link.finalUrl}`, referenced(link.referencedBy));
+        }
+    }
+    if (lines.length > 0) lines.push('');
+
+    const { assets, links } = report.summary;
+    lines.push(`Assets: ${assets.total} checked, ${assets.missing} missing`);
+    lines.push(links
+        ? `Links: ${links.total} checked, ${links.ok} ok, ${links.moved} moved, ${links.broken} broken`
+        : 'Links: not checked (--offline)');
+    return lines.join('\n');
+}
@@ -0,0 +1,261 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// English messages, the fallback for every other catalog. See src/i18n.js for
+// the message format. Type, status and license family names come from their
+// own modules so the English wording lives in one place.
+import { LICENSE_FAMILIES } from '../licenses.js';
+import { TYPES } from '../project-types.js';
+import { STATUSES } from '../statuses.js';
+
+export default {
+    'meta.title': 'LibreLinker - Get Coding Today!',
+
+    // Header
+    'header.logoAlt': 'LibreLinker Logo',
+    'header.tagline': 'Connecting Ideas, Building Tomorrow, Fighting for Freedom',
+    'header.language': 'Language',
+    'header.showInfo': 'Show info',
+    'header.toggleTheme': 'Toggle dark mode',
+    'header.ltcHomepage': 'LibreTech Collective Homepage',
+    'header.ltcHomepageShort': 'LTC Homepage',
+
+    // Introduction
+    'hero.title': 'Discover Free Software & Hardware Projects',
+    'hero.intro': 'A curated collection of innovative open projects spanning AI, chemistry, hardware, and beyond - all seeking contributors!',
+    'hero.freedom': 'All projects <a href="https://www.gnu.org/philosophy/free-sw.en.html">respect your freedom</a> and are GPL compatible. <strong>Most all are led by Georgia Tech students, faculty, and alumni</strong>.',
+    'hero.club': '<a href="https://ltc.gtorg.gatech.edu/"><strong>LibreTech Collective</strong></a>, Georgia Tech\'s only Free, Libre, & Open-Source club, invites you to explore, contribute, and make an impact!',
+    'hero.thanks': 'Thanks to <a href="https://ospo.cc.gatech.edu/">GT-OSPO</a> for helping assemble parts of this list.',
+
+    // Project types, statuses and license families
+    ...Object.fromEntries(TYPES.flatMap(type => [
+        [`type.${type.key}`, type.label],
+        [`type.${type.key}.description`, type.description]
+    ])),
+    'type.unknown.description': 'Project type',
+    ...Object.fromEntries(STATUSES.flatMap(status => [
+        [`status.${status.key}`, status.key],
+        [`status.${status.key}.description`, status.description]
+    ])),
+    'status.unknown': 'Unknown',
+    ...Object.fromEntries(LICENSE_FAMILIES.map(family => [`licenseFamily.${family.key}`, family.label])),
+    'licenseFamily.unknown': 'Unclassified license',
+    'license.exception': 'with {exception}',
+
+    // Filters
+    'filters.type': 'Filter by type:',
+    'filters.typeMode': 'Combine selected types',
+    'filters.typeMode.and': 'All',
+    'filters.typeMode.and.title': 'Show projects with every selected type',
+    'filters.typeMode.or': 'Any',
+    'filters.typeMode.or.title': 'Show projects with any selected type',
+    'filters.typeSummary': 'Showing projects matching',
+    'filters.operator.and': 'AND',
+    'filters.operator.or': 'OR',
+    'filters.operator.not': 'NOT',
+    'filters.typeButton.off': 'Filter by {type} ({projects})',
+    'filters.typeButton.unavailable': 'No {type} projects match the other filters',
+    'filters.typeButton.include': 'Including {type}. Click to exclude {type} projects instead ({projects})',
+    'filters.typeButton.exclude': 'Excluding {type}. Click to clear ({projects})',
+    'filters.license': 'Filter by license:',
+    'filters.status': 'Filter by status:',
+    'filters.year': 'Year started',
+    'filters.year.label': 'Started',
+    'filters.year.from': 'Started in or after',
+    'filters.year.to': 'Started in or before',
+    'filters.year.in': 'Started in {year}',
+    'filters.year.between': 'Started {from}–{to}',
+    'filters.year.since': 'Started since {from}',
+    'filters.year.until': 'Started up to {to}',
+    'filters.technology': 'Filter by technology:',
+    'filters.technology.browse': 'Browse technologies',
+    'filters.technology.find': 'Find a technology',
+    'filters.technology.findPlaceholder': 'Find a technology...',
+    'filters.technology.none': 'No technologies match.',
+    'filters.active': 'Active filters',
+    'filters.chip.exclude': 'Not {type}',
+    'filters.chip.sort': 'Sorted by {columns}',
+    'filters.chip.remove': 'Remove {label}',
+    'filters.reset': 'Reset all',
+    'count.projects': { one: '{count} project', other: '{count} projects' },
+
+    // Toolbar
+    'toolbar.search': 'Search projects',
+    'toolbar.searchPlaceholder': 'Search names, descriptions, technologies...',
+    'toolbar.layout': 'Layout',
+    'toolbar.layout.table': 'Table view',
+    'toolbar.layout.cards': 'Card view',
+    'toolbar.export': 'Export this view',
+
+    // Table and sorting
+    'table.caption': 'LibreLinker projects. Use the column header buttons to sort, and the arrow keys to move between cells.',
+    'table.loading': 'Loading projects...',
+    'table.ltcHelp': 'Help about LTC Supported projects',
+    'column.name': 'Project',
+    'column.description': 'Description',
+    'column.type': 'Type',
+    'column.technologies': 'Technologies',
+    'column.yearStarted': 'Year',
+    'column.license': 'License',
+    'column.status': 'Status',
+    'column.ltcSupported': 'LTC Supported?',
+    'sort.ascending': '{column} ascending',
+    'sort.descending': '{column} descending',
+    'sort.by': 'Sorted by {columns}.',
+    'sort.then': ', then ',
+    'sort.relevance': 'Sorted by search relevance.',
+    'sort.default': 'Default order.',
+    'sort.ltcFirst': 'LTC supported projects first.',
+    'sort.ltcLast': 'LTC supported projects last.',
+    'sort.priority.ascending': ', sorted ascending, sort priority {priority}',
+    'sort.priority.descending': ', sorted descending, sort priority {priority}',
+    'cardSort.label': 'Sort by',
+    'cardSort.default': 'Default order',
+    'cardSort.nameAsc': 'Name (A–Z)',
+    'cardSort.nameDesc': 'Name (Z–A)',
+    'cardSort.newest': 'Newest first',
+    'cardSort.oldest': 'Oldest first',
+    'cardSort.license': 'License',
+    'cardSort.status': 'Status',
+    'cardSort.custom': 'Custom (set in table view)',
+    'ltc.tooltip': 'Projects marked with ✅ are supported by the LibreTech Collective (LTC). These projects benefit from direct communication channels with their developers, ensuring responsive support and community engagement.',
+    'ltc.learnMore': 'Learn more about what LTC supports →',
+
+    // Empty states
+    'empty.noProjects': 'No projects found. Add projects to projects.json to get started.',
+    'empty.noMatches': 'No projects match your selected filters',
+    'empty.try': 'Try {suggestions}',
+    'empty.tryRemoving': 'Try removing some filters',
+    'empty.suggestion.search': 'a different search',
+    'empty.suggestion.types': 'different project types',
+    'empty.suggestion.licenses': 'other license families',
+    'empty.suggestion.technologies': 'fewer technologies',
+    'empty.suggestion.statuses': 'other statuses',
+    'empty.suggestion.years': 'a wider year range',
+    'empty.reset': 'Reset all filters',
+    'loadError.title': 'Couldn\'t load the projects',
+    'loadError.text': 'Something went wrong while fetching the catalog. Please try again in a moment.',
+    'loadError.offline': 'You\'re offline, and the catalog hasn\'t been saved on this device yet. Connect to the internet and try again.',
+    'loadError.retry': 'Try again',
+    'loadError.retrying': 'Loading...',
+
+    // Projects in the list, popups and the detail view
+    'project.logoAlt': '{name} logo',
+    'project.open': 'Open {name}',
+    'project.ltcSupported': '✅ LTC Supported',
+    'project.technology.add': 'Filter by {technology}',
+    'project.technology.remove': 'Remove {technology}',
+    'project.technology.showAll': 'Show all projects using {technology}',
+    'project.allTechnologies': { one: 'Show {count} technology', other: 'Show all {count} technologies' },
+    'project.technologiesTitle': '{name} - Technologies',
+    'project.technologiesHint': 'Select a technology to show every project that uses it.',
+    'detail.title': '{name} - LibreLinker',
+    'detail.back': 'All projects',
+    'detail.started': 'Started {year}',
+    'detail.added': 'Listed {date}',
+    'detail.updated': 'Updated {date}',
+    'detail.description': 'Description',
+    'detail.type': 'Type',
+    'detail.technologies': 'Technologies',
+    'detail.license': 'License',
+    'detail.status': 'Status',
+    'detail.repository': 'Repository',
+    'detail.lastCommit': 'Last commit',
+    'detail.contributors': 'Contributors',
+    'detail.stars': 'Stars',
+    'detail.release': 'Latest release',
+    'detail.noRelease': 'None',
+    'detail.archived': 'Archived on {forge}',
+    'detail.forgeSource': 'From {forge} on {date}',
+    'detail.viewRepository': 'View repository',
+
+    // Status derivation (deriveStatus in src/statuses.js)
+    'lifecycle.explicit': 'Set by the catalog maintainers.',
+    'lifecycle.derived': 'Derived from the project\'s activity.',
+    'lifecycle.unknown': 'Not set, and there is no activity date to derive it from.',
+    'lifecycle.suggests': 'Its activity alone would make it {status}.',
+    'lifecycle.lastActivity': { one: 'Last activity on {date}, {count} month ago.', other: 'Last activity on {date}, {count} months ago.' },
+    'lifecycle.rule.archived': 'Its repository is archived.',
+    'lifecycle.rule.dormant': { one: 'Projects are Dormant after {count} month without activity.', other: 'Projects are Dormant after {count} months without activity.' },
+    'lifecycle.rule.maintenance': { one: 'Projects are in Maintenance after {count} month without activity.', other: 'Projects are in Maintenance after {count} months without activity.' },
+    'lifecycle.rule.incubating': 'Active projects started in {year} or later are Incubating.',
+    'lifecycle.rule.active': { one: 'Projects are Active with activity in the last month.', other: 'Projects are Active with activity in the last {count} months.' },
+    'detail.visit': 'Visit {name}',
+    'notFound.title': 'Project not found',
+    'notFound.pageTitle': 'Project Not Found - LibreLinker',
+    'notFound.text': 'We couldn\'t find a project called "{slug}". It may have been renamed or removed from LibreLinker.',
+    'notFound.browse': 'Browse all projects',
+
+    // FAQ
+    'faq.title': 'Frequently Asked Questions',
+    'faq.what.question': 'What is this list I\'m looking at?',
+    'faq.what.answer1': 'All projects above have been reviewed by the LibreTech Collective at Georgia Tech and approved for development by LTC. These licenses are all GPL compatible, meaning they respect your freedom to run, study, share, and modify the code.',
+    'faq.what.answer2': 'These projects are all either run by Georgia Tech students, faculty, or alumni - or are large community-based projects (like Apache & Apereo) based here at Georgia Tech.',
+    'faq.join.question': 'How can I get on this list? What does it mean for my project?',
+    'faq.join.answer1': 'Anyone can apply for submission to the list. The two qualifications are that the project must have some sort of tie to Georgia Tech and have a GPL compatible license.',
+    'faq.join.answer2': 'Being on this list means your project is recognized by the LibreTech Collective as upholding software freedom principles and connects you with the Georgia Tech free & open-source community.',
+    'faq.licenses.question': 'What makes a license GPL compatible? Isn\'t Open-Source the same thing?',
+    'faq.licenses.answer1': 'A GPL compatible license is one that allows code to be combined with GPL-licensed code. This includes licenses like MIT, Apache 2.0, BSD, and of course, the GPL itself.',
+    'faq.licenses.answer2': 'These licenses all share the common goal of protecting user freedoms - the freedom to use, study, modify, and share software. They ensure that software remains free and open for everyone.',
+    'faq.licenses.answer3': 'Per LibreTech policy, <a href="https://www.gnu.org/philosophy/free-sw.html">all projects worked on by the club must be free as in freedom. Meaning it respects your 4 freedoms.</a>',
+    'faq.licenses.answer4': 'Access to source code (e.g. open-source) is only a requirement of 2 of the 4 freedoms, and thus alone is not sufficent to be considered free as in freedom. When most people say "open-source", they\'re really referring to free software, but it can often times lead to confusion when the topic of source available software comes up.',
+    'faq.licenses.answer5': 'Source available only license (e.g. BSL, SSPL, etc.) are not considered free software and thus are not allowed.',
+    'faq.licenses.answer6': 'To see if your license is free as in freedom, <a href="https://www.gnu.org/licenses/license-list.en.html">visit this site</a> - all green and some orange licenses are permissible for acceptance onto this list. If you see a license not listed, please reach out to us for clarification.',
+    'faq.next.question': 'I see something interesting that I want to work on or learn more about - what next?',
+    'faq.next.answer': '<a href="https://discord.gg/E6qgerDpTr">Join our Discord</a>, introduce yourself, and a LibreTech member will be with you shortly to explain the next steps!',
+
+    // Contact form
+    'contact.title': 'Get In Contact',
+    'contact.intro': 'Have a project to add or a question? Fill out the form below and we\'ll get back to you!',
+    'contact.reason': 'Reason for Contact',
+    'contact.reason.placeholder': 'Select a reason...',
+    'contact.reason.addition': 'New Project Addition Request',
+    'contact.reason.update': 'Project Update Request',
+    'contact.reason.inquiry': 'General Inquiry',
+    'contact.reason.bug': 'Bug Report',
+    'contact.reason.feedback': 'Feedback',
+    'contact.name': 'Name',
+    'contact.email': 'Your Email Address',
+    'contact.message': 'Message',
+    'contact.messagePlaceholder': 'Please provide detailed information about your request, including project name, description, goals, technologies used, and any other relevant details...',
+    'contact.gplConfirm': 'I confirm this project features a GPL compatible license',
+    'contact.gplHelp': 'Help about GPL compatible licenses',
+    'contact.gplPolicy': 'Per LibreTech policy, all projects worked on by the club must be free software. Meaning it respects your 4 freedoms.',
+    'contact.gplLearnMore': 'Learn about the 4 freedoms →',
+    'contact.gplPermissive': 'LTC doesn\'t take sides in the copyleft vs. permissive license debate; our priority is protecting users\' freedom. Permissive GPL-compatible licenses (for example, Apache 2.0 and MIT) are always permitted.',
+    'contact.affiliation': 'Georgia Tech Affiliation',
+    'contact.affiliation.placeholder': 'Select your affiliation...',
+    'contact.affiliation.member': 'I\'m with Georgia Tech',
+    'contact.affiliation.nonMember': 'I\'m not with Georgia Tech',
+    'contact.send': 'Send Message',
+    'contact.sending': 'Sending...',
+    'contact.sent': '✓ Message sent successfully! We\'ll get back to you soon.',
+    'contact.failed': '✗ Failed to send message. Please try again or email us directly at librelinker@gtltc.org',
+    'contact.verifyFirst': '✗ Please complete the verification.',
+    'captcha.title': 'Verify you\'re human',
+    'captcha.instructions': 'Type the text below (case sensitive):',
+    'captcha.placeholder': 'Type here...',
+    'captcha.refresh': 'Refresh captcha',
+    'captcha.refreshTitle': 'Refresh',
+    'captcha.verified': '✓ Verified!',
+    'captcha.retry': '✗ Please try again',
+    'captcha.retryNaturally': '✗ Please try again naturally',
+    'captcha.incorrect': '✗ Incorrect, try again',
+
+    // About dialog and footer
+    'dialog.close': 'Close',
+    'about.title': 'About LibreLinker',
+    'about.freedom': 'All projects <a href="https://www.gnu.org/philosophy/free-sw.en.html">respect your freedom</a> and are GPL-compatible. Most all are led by Georgia Tech students, faculty, and alumni.',
+    'about.club': '<a href="https://ltc.gtorg.gatech.edu/"><strong>LibreTech Collective</strong></a>, Georgia Tech\'s only Free & Open-Source club, invites you to explore, contribute, and make an impact!',
+    'about.connect': 'Connect with us:',
+    'site.builtWith': 'Built with ❤️ in Atlanta, Georgia',
+    'site.visitGeorgiaTech': 'Visit Georgia Tech',
+    'site.usFlag': 'US Flag',
+    'footer.license': 'LibreLinker — GNU GPL v3, Free As In Freedom',
+    'footer.by': 'by',
+    'social.github': 'View on GitHub',
+    'social.linkedin': 'Visit our LinkedIn',
+    'social.instagram': 'Follow us on Instagram',
+    'social.discord': 'Join our Discord',
+    'social.mastodon': 'Follow us on Mastodon',
+    'social.bluesky': 'Follow us on Bluesky',
+    'social.reddit': 'Join us on Reddit'
+};
@@ -0,0 +1,279 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Spanish messages. Keys missing here fall back to English (src/locales/en.js).
+
+export default {
+    'meta.title': 'LibreLinker - ¡Empieza a programar hoy!',
+
+    // Header
+    'header.logoAlt': 'Logotipo de LibreLinker',
+    'header.tagline': 'Conectando ideas, construyendo el mañana, luchando por la libertad',
+    'header.language': 'Idioma',
+    'header.showInfo': 'Mostrar información',
+    'header.toggleTheme': 'Cambiar modo oscuro',
+    'header.ltcHomepage': 'Página de LibreTech Collective',
+    'header.ltcHomepageShort': 'Página de LTC',
+
+    // Introduction
+    'hero.title': 'Descubre proyectos de software y hardware libres',
+    'hero.intro': 'Una colección seleccionada de proyectos abiertos e innovadores de IA, química, hardware y más, ¡todos buscando colaboradores!',
+    'hero.freedom': 'Todos los proyectos <a href="https://www.gnu.org/philosophy/free-sw.es.html">respetan tu libertad</a> y son compatibles con la GPL. <strong>Casi todos están dirigidos por estudiantes, profesorado y exalumnos de Georgia Tech</strong>.',
+    'hero.club': '<a href="https://ltc.gtorg.gatech.edu/"><strong>LibreTech Collective</strong></a>, el único club de software libre y de código abierto de Georgia Tech, te invita a explorar, contribuir y dejar tu huella.',
+    'hero.thanks': 'Gracias a <a href="https://ospo.cc.gatech.edu/">GT-OSPO</a> por ayudar a reunir parte de esta lista.',
+
+    // Project types, statuses and license families
+    'type.ai': 'IA/ML',
+    'type.ai.description': 'Proyecto de inteligencia artificial y aprendizaje automático',
+    'type.academic': 'Académico',
+    'type.academic.description': 'Proyecto académico o educativo',
+    'type.research': 'Investigación',
+    'type.research.description': 'Proyecto de investigación y desarrollo',
+    'type.hardware': 'Hardware',
+    'type.hardware.description': 'Proyecto de hardware, HPC o sistemas de bajo nivel',
+    'type.web': 'Web',
+    'type.web.description': 'Aplicación web o servicio en línea',
+    'type.mobile': 'Móvil',
+    'type.mobile.description': 'Proyecto de aplicación móvil',
+    'type.enterprise': 'Empresarial',
+    'type.enterprise.description': 'Proyecto a escala empresarial o de una gran organización',
+    'type.plugin': 'Complemento',
+    'type.plugin.description': 'Complemento o extensión para software existente',
+    'type.just-for-fun': 'Por diversión',
+    'type.just-for-fun.description': 'Proyecto divertido, experimental o de afición',
+    'type.unknown.description': 'Tipo de proyecto',
+    'status.Incubating': 'En incubación',
+    'status.Incubating.description': 'Nuevo y tomando forma',
+    'status.Active': 'Activo',
+    'status.Active.description': 'En desarrollo activo',
+    'status.Maintenance': 'Mantenimiento',
+    'status.Maintenance.description': 'Estable; recibe correcciones más que funciones nuevas',
+    'status.Dormant': 'Inactivo',
+    'status.Dormant.description': 'Sin desarrollo en este momento',
+    'status.Archived': 'Archivado',
+    'status.Archived.description': 'Terminado o retirado; se conserva como referencia',
+    'status.unknown': 'Desconocido',
+    'licenseFamily.permissive': 'Permisiva',
+    'licenseFamily.weak-copyleft': 'Copyleft débil',
+    'licenseFamily.strong-copyleft': 'Copyleft fuerte',
+    'licenseFamily.public-domain': 'Dominio público',
+    'licenseFamily.unknown': 'Licencia sin clasificar',
+    'license.exception': 'con {exception}',
+
+    // Filters
+    'filters.type': 'Filtrar por tipo:',
+    'filters.typeMode': 'Combinar los tipos seleccionados',
+    'filters.typeMode.and': 'Todos',
+    'filters.typeMode.and.title': 'Mostrar proyectos con todos los tipos seleccionados',
+    'filters.typeMode.or': 'Cualquiera',
+    'filters.typeMode.or.title': 'Mostrar proyectos con cualquiera de los tipos seleccionados',
+    'filters.typeSummary': 'Mostrando proyectos que cumplen',
+    'filters.operator.and': 'Y',
+    'filters.operator.or': 'O',
+    'filters.operator.not': 'NO',
+    'filters.typeButton.off': 'Filtrar por {type} ({projects})',
+    'filters.typeButton.unavailable': 'Ningún proyecto de tipo {type} cumple los demás filtros',
+    'filters.typeButton.include': 'Incluyendo {type}. Haz clic para excluir los proyectos de tipo {type} ({projects})',
+    'filters.typeButton.exclude': 'Excluyendo {type}. Haz clic para quitar el filtro ({projects})',
+    'filters.license': 'Filtrar por licencia:',
+    'filters.status': 'Filtrar por estado:',
+    'filters.year': 'Año de inicio',
+    'filters.year.label': 'Iniciado',
+    'filters.year.from': 'Iniciado en o después de',
+    'filters.year.to': 'Iniciado en o antes de',
+    'filters.year.in': 'Iniciado en {year}',
+    'filters.year.between': 'Iniciado entre {from} y {to}',
+    'filters.year.since': 'Iniciado desde {from}',
+    'filters.year.until': 'Iniciado hasta {to}',
+    'filters.technology': 'Filtrar por tecnología:',
+    'filters.technology.browse': 'Explorar tecnologías',
+    'filters.technology.find': 'Buscar una tecnología',
+    'filters.technology.findPlaceholder': 'Buscar una tecnología...',
+    'filters.technology.none': 'Ninguna tecnología coincide.',
+    'filters.active': 'Filtros activos',
+    'filters.chip.exclude': 'Sin {type}',
+    'filters.chip.sort': 'Ordenado por {columns}',
+    'filters.chip.remove': 'Quitar {label}',
+    'filters.reset': 'Quitar todo',
+    'count.projects': { one: '{count} proyecto', other: '{count} proyectos' },
+
+    // Toolbar
+    'toolbar.search': 'Buscar proyectos',
+    'toolbar.searchPlaceholder': 'Busca nombres, descripciones, tecnologías...',
+    'toolbar.layout': 'Vista',
+    'toolbar.layout.table': 'Vista de tabla',
+    'toolbar.layout.cards': 'Vista de tarjetas',
+    'toolbar.export': 'Exportar esta vista',
+
+    // Table and sorting
+    'table.caption': 'Proyectos de LibreLinker. Usa los botones de los encabezados para ordenar y las flechas del teclado para moverte entre celdas.',
+    'table.loading': 'Cargando proyectos...',
+    'table.ltcHelp': 'Ayuda sobre los proyectos con apoyo de LTC',
+    'column.name': 'Proyecto',
+    'column.description': 'Descripción',
+    'column.type': 'Tipo',
+    'column.technologies': 'Tecnologías',
+    'column.yearStarted': 'Año',
+    'column.license': 'Licencia',
+    'column.status': 'Estado',
+    'column.ltcSupported': '¿Apoyo de LTC?',
+    'sort.ascending': '{column} ascendente',
+    'sort.descending': '{column} descendente',
+    'sort.by': 'Ordenado por {columns}.',
+    'sort.then': ', luego ',
+    'sort.relevance': 'Ordenado por relevancia de búsqueda.',
+    'sort.default': 'Orden predeterminado.',
+    'sort.ltcFirst': 'Proyectos con apoyo de LTC primero.',
+    'sort.ltcLast': 'Proyectos con apoyo de LTC al final.',
+    'sort.priority.ascending': ', orden ascendente, prioridad {priority}',
+    'sort.priority.descending': ', orden descendente, prioridad {priority}',
+    'cardSort.label': 'Ordenar por',
+    'cardSort.default': 'Orden predeterminado',
+    'cardSort.nameAsc': 'Nombre (A–Z)',
+    'cardSort.nameDesc': 'Nombre (Z–A)',
+    'cardSort.newest': 'Más recientes primero',
+    'cardSort.oldest': 'Más antiguos primero',
+    'cardSort.license': 'Licencia',
+    'cardSort.status': 'Estado',
+    'cardSort.custom': 'Personalizado (en la vista de tabla)',
+    'ltc.tooltip': 'Los proyectos marcados con ✅ cuentan con el apoyo de LibreTech Collective (LTC). Estos proyectos tienen canales de comunicación directa con sus desarrolladores, lo que garantiza una atención rápida y una comunidad activa.',
+    'ltc.learnMore': 'Más información sobre lo que apoya LTC →',
+
+    // Empty states
+    'empty.noProjects': 'No se encontraron proyectos. Añade proyectos a projects.json para empezar.',
+    'empty.noMatches': 'Ningún proyecto coincide con los filtros seleccionados',
+    'empty.try': 'Prueba {suggestions}',
+    'empty.tryRemoving': 'Prueba a quitar algunos filtros',
+    'empty.suggestion.search': 'otra búsqueda',
+    'empty.suggestion.types': 'otros tipos de proyecto',
+    'empty.suggestion.licenses': 'otras familias de licencias',
+    'empty.suggestion.technologies': 'menos tecnologías',
+    'empty.suggestion.statuses': 'otros estados',
+    'empty.suggestion.years': 'un rango de años más amplio',
+    'empty.reset': 'Quitar todos los filtros',
+    'loadError.title': 'No se pudieron cargar los proyectos',
+    'loadError.text': 'Algo salió mal al obtener el catálogo. Vuelve a intentarlo en un momento.',
+    'loadError.offline': 'No tienes conexión y el catálogo aún no se ha guardado en este dispositivo. Conéctate a internet y vuelve a intentarlo.',
+    'loadError.retry': 'Reintentar',
+    'loadError.retrying': 'Cargando...',
+
+    // Projects in the list, popups and the detail view
+    'project.logoAlt': 'Logotipo de {name}',
+    'project.open': 'Abrir {name}',
+    'project.ltcSupported': '✅ Apoyo de LTC',
+    'project.technology.add': 'Filtrar por {technology}',
+    'project.technology.remove': 'Quitar {technology}',
+    'project.technology.showAll': 'Mostrar todos los proyectos que usan {technology}',
+    'project.allTechnologies': { one: 'Mostrar {count} tecnología', other: 'Mostrar las {count} tecnologías' },
+    'project.technologiesTitle': '{name} - Tecnologías',
+    'project.technologiesHint': 'Selecciona una tecnología para ver todos los proyectos que la usan.',
+    'detail.title': '{name} - LibreLinker',
+    'detail.back': 'Todos los proyectos',
+    'detail.started': 'Iniciado en {year}',
+    'detail.added': 'Añadido el {date}',
+    'detail.updated': 'Actualizado el {date}',
+    'detail.description': 'Descripción',
+    'detail.type': 'Tipo',
+    'detail.technologies': 'Tecnologías',
+    'detail.license': 'Licencia',
+    'detail.status': 'Estado',
+    'detail.repository': 'Repositorio',
+    'detail.lastCommit': 'Último commit',
+    'detail.contributors': 'Colaboradores',
+    'detail.stars': 'Estrellas',
+    'detail.release': 'Última versión',
+    'detail.noRelease': 'Ninguna',
+    'detail.archived': 'Archivado en {forge}',
+    'detail.forgeSource': 'Datos de {forge} del {date}',
+    'detail.viewRepository': 'Ver repositorio',
+
+    // Derivación del estado (deriveStatus en src/statuses.js)
+    'lifecycle.explicit': 'Asignado por quienes mantienen el catálogo.',
+    'lifecycle.derived': 'Deducido de la actividad del proyecto.',
+    'lifecycle.unknown': 'Sin asignar, y sin fecha de actividad de la que deducirlo.',
+    'lifecycle.suggests': 'Solo por su actividad, estaría en estado {status}.',
+    'lifecycle.lastActivity': { one: 'Última actividad el {date}, hace {count} mes.', other: 'Última actividad el {date}, hace {count} meses.' },
+    'lifecycle.rule.archived': 'Su repositorio está archivado.',
+    'lifecycle.rule.dormant': { one: 'Un proyecto pasa a Inactivo tras {count} mes sin actividad.', other: 'Un proyecto pasa a Inactivo tras {count} meses sin actividad.' },
+    'lifecycle.rule.maintenance': { one: 'Un proyecto pasa a Mantenimiento tras {count} mes sin actividad.', other: 'Un proyecto pasa a Mantenimiento tras {count} meses sin actividad.' },
+    'lifecycle.rule.incubating': 'Los proyectos activos iniciados en {year} o después están En incubación.',
+    'lifecycle.rule.active': { one: 'Un proyecto está Activo si tuvo actividad el último mes.', other: 'Un proyecto está Activo si tuvo actividad en los últimos {count} meses.' },
+    'detail.visit': 'Visitar {name}',
+    'notFound.title': 'Proyecto no encontrado',
+    'notFound.pageTitle': 'Proyecto no encontrado - LibreLinker',
+    'notFound.text': 'No encontramos ningún proyecto llamado «{slug}». Puede que haya cambiado de nombre o que se haya retirado de LibreLinker.',
+    'notFound.browse': 'Ver todos los proyectos',
+
+    // FAQ
+    'faq.title': 'Preguntas frecuentes',
+    'faq.what.question': '¿Qué es esta lista?',
+    'faq.what.answer1': 'Todos los proyectos de arriba han sido revisados por LibreTech Collective de Georgia Tech y aprobados para su desarrollo por LTC. Sus licencias son compatibles con la GPL, es decir, respetan tu libertad de ejecutar, estudiar, compartir y modificar el código.',
+    'faq.what.answer2': 'Todos estos proyectos están dirigidos por estudiantes, profesorado o exalumnos de Georgia Tech, o son grandes proyectos comunitarios (como Apache y Apereo) con sede aquí en Georgia Tech.',
+    'faq.join.question': '¿Cómo puedo entrar en esta lista? ¿Qué significa para mi proyecto?',
+    'faq.join.answer1': 'Cualquiera puede solicitar que su proyecto se añada a la lista. Los dos requisitos son que el proyecto tenga algún vínculo con Georgia Tech y una licencia compatible con la GPL.',
+    'faq.join.answer2': 'Estar en esta lista significa que LibreTech Collective reconoce que tu proyecto defiende los principios del software libre, y te conecta con la comunidad de software libre y de código abierto de Georgia Tech.',
+    'faq.licenses.question': '¿Qué hace que una licencia sea compatible con la GPL? ¿No es lo mismo que código abierto?',
+    'faq.licenses.answer1': 'Una licencia compatible con la GPL es aquella que permite combinar el código con código bajo la GPL. Esto incluye licencias como MIT, Apache 2.0, BSD y, por supuesto, la propia GPL.',
+    'faq.licenses.answer2': 'Todas estas licencias comparten el objetivo de proteger las libertades de los usuarios: la libertad de usar, estudiar, modificar y compartir el software. Garantizan que el software siga siendo libre y abierto para todos.',
+    'faq.licenses.answer3': 'Según la política de LibreTech, <a href="https://www.gnu.org/philosophy/free-sw.es.html">todos los proyectos en los que trabaja el club deben ser libres como en libertad, es decir, respetar tus 4 libertades.</a>',
+    'faq.licenses.answer4': 'El acceso al código fuente (el «código abierto») solo es un requisito de 2 de las 4 libertades, así que por sí solo no basta para considerarse libre como en libertad. Cuando la mayoría de la gente dice «código abierto» en realidad se refiere al software libre, pero eso puede causar confusión cuando se habla de software de código disponible.',
+    'faq.licenses.answer5': 'Las licencias de solo código disponible (por ejemplo, BSL, SSPL, etc.) no se consideran software libre y, por tanto, no se admiten.',
+    'faq.licenses.answer6': 'Para saber si tu licencia es libre como en libertad, <a href="https://www.gnu.org/licenses/license-list.es.html">consulta esta página</a>: todas las licencias en verde y algunas en naranja se admiten en esta lista. Si tu licencia no aparece, escríbenos para aclararlo.',
+    'faq.next.question': 'He visto algo interesante en lo que quiero trabajar o sobre lo que quiero saber más. ¿Y ahora qué?',
+    'faq.next.answer': '<a href="https://discord.gg/E6qgerDpTr">Únete a nuestro Discord</a>, preséntate y un miembro de LibreTech te explicará enseguida los siguientes pasos.',
+
+    // Contact form
+    'contact.title': 'Ponte en contacto',
+    'contact.intro': '¿Tienes un proyecto que añadir o una pregunta? Rellena el formulario y te responderemos.',
+    'contact.reason': 'Motivo del contacto',
+    'contact.reason.placeholder': 'Selecciona un motivo...',
+    'contact.reason.addition': 'Solicitud para añadir un proyecto',
+    'contact.reason.update': 'Solicitud para actualizar un proyecto',
+    'contact.reason.inquiry': 'Consulta general',
+    'contact.reason.bug': 'Informe de error',
+    'contact.reason.feedback': 'Comentarios',
+    'contact.name': 'Nombre',
+    'contact.email': 'Tu correo electrónico',
+    'contact.message': 'Mensaje',
+    'contact.messagePlaceholder': 'Describe tu solicitud con detalle: nombre del proyecto, descripción, objetivos, tecnologías utilizadas y cualquier otra información relevante...',
+    'contact.gplConfirm': 'Confirmo que este proyecto tiene una licencia compatible con la GPL',
+    'contact.gplHelp': 'Ayuda sobre las licencias compatibles con la GPL',
+    'contact.gplPolicy': 'Según la política de LibreTech, todos los proyectos en los que trabaja el club deben ser software libre, es decir, respetar tus 4 libertades.',
+    'contact.gplLearnMore': 'Conoce las 4 libertades →',
+    'contact.gplPermissive': 'LTC no toma partido en el debate entre licencias copyleft y permisivas; nuestra prioridad es proteger la libertad de los usuarios. Las licencias permisivas compatibles con la GPL (por ejemplo, Apache 2.0 y MIT) siempre se admiten.',
+    'contact.affiliation': 'Vínculo con Georgia Tech',
+    'contact.affiliation.placeholder': 'Selecciona tu vínculo...',
+    'contact.affiliation.member': 'Formo parte de Georgia Tech',
+    'contact.affiliation.nonMember': 'No formo parte de Georgia Tech',
+    'contact.send': 'Enviar mensaje',
+    'contact.sending': 'Enviando...',
+    'contact.sent': '✓ ¡Mensaje enviado! Te responderemos pronto.',
+    'contact.failed': '✗ No se pudo enviar el mensaje. Inténtalo de nuevo o escríbenos directamente a librelinker@gtltc.org',
+    'contact.verifyFirst': '✗ Completa la verificación.',
+    'captcha.title': 'Verifica que eres humano',
+    'captcha.instructions': 'Escribe el texto de abajo (distingue mayúsculas y minúsculas):',
+    'captcha.placeholder': 'Escribe aquí...',
+    'captcha.refresh': 'Generar otro texto',
+    'captcha.refreshTitle': 'Generar otro',
+    'captcha.verified': '✓ ¡Verificado!',
+    'captcha.retry': '✗ Inténtalo de nuevo',
+    'captcha.retryNaturally': '✗ Inténtalo de nuevo con naturalidad',
+    'captcha.incorrect': '✗ Incorrecto, inténtalo de nuevo',
+
+    // About dialog and footer
+    'dialog.close': 'Cerrar',
+    'about.title': 'Acerca de LibreLinker',
+    'about.freedom': 'Todos los proyectos <a href="https://www.gnu.org/philosophy/free-sw.es.html">respetan tu libertad</a> y son compatibles con la GPL. Casi todos están dirigidos por estudiantes, profesorado y exalumnos de Georgia Tech.',
+    'about.club': '<a href="https://ltc.gtorg.gatech.edu/"><strong>LibreTech Collective</strong></a>, el único club de software libre y de código abierto de Georgia Tech, te invita a explorar, contribuir y dejar tu huella.',
+    'about.connect': 'Síguenos:',
+    'site.builtWith': 'Hecho con ❤️ en Atlanta, Georgia',
+    'site.visitGeorgiaTech': 'Visitar Georgia Tech',
+    'site.usFlag': 'Bandera de EE. UU.',
+    'footer.license': 'LibreLinker — GNU GPL v3, libre como en libertad',
+    'footer.by': 'por',
+    'social.github': 'Ver en GitHub',
+    'social.linkedin': 'Visita nuestro LinkedIn',
+    'social.instagram': 'Síguenos en Instagram',
+    'social.discord': 'Únete a nuestro Discord',
+    'social.mastodon': 'Síguenos en Mastodon',
+    'social.bluesky': 'Síguenos en Bluesky',
+    'social.reddit': 'Únete a nosotros en Reddit'
+};
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Project logos as the site serves them. logoPlugin in vite.config.mjs resizes
+// every logo in projects.json into WebP variants under logos/, one per width
+// below, so a 40px tile doesn't download a multi-megabyte original. The
+// originals in misc/logos/ stay where they are (the JSON API links to them).
+
+// Variant widths in pixels: 1x-3x of the 40px list tiles and the 64px detail tile
+export const LOGO_WIDTHS = [40, 64, 80, 128, 192];
+
+// Largest a variant may be, in bytes; the build fails above it
+export const LOGO_BUDGET_BYTES = 16 * 1024;
+
+// Variant used as `src` by browsers without srcset support
+const FALLBACK_WIDTH = 80;
+
+/**
+ * Site-relative path of a logo's variant.
+ *
+ * @param {string} logo - Path from projects.json, e.g. "misc/logos/sakai-logo.webp"
+ * @param {number} width - One of LOGO_WIDTHS
+ */
+export function getLogoVariantPath(logo, width) {
+    const name = logo.slice(logo.lastIndexOf('/') + 1).replace(/\.[^.]+$/, '');
+    return `logos/${name}-${width}.webp`;
+}
+
+/**
+ * `src`, `srcset` and `sizes` for an <img> of a logo.
+ *
+ * @param {string} logo - Path from projects.json
+ * @param {string} sizes - Rendered width of the image, e.g. "(min-width: 640px) 40px, 24px"
+ * @param {(path: string) => string} [resolve] - Turns a site-relative path into the URL to use
+ * @returns {{ src: string, srcset: string, sizes: string }}
+ */
+export function getLogoSources(logo, sizes, resolve = path => path) {
+    return {
+        src: resolve(getLogoVariantPath(logo, FALLBACK_WIDTH)),
+        srcset: LOGO_WIDTHS.map(width => `${resolve(getLogoVariantPath(logo, width))} ${width}w`).join(', '),
+        sizes
+    };
+}
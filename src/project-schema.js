@@ -0,0 +1,267 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Schema for entries in projects.json, enforced at build time by the
+// projects-schema plugin in vite.config.mjs.
+import { getLicenseFamily, isKnownException, licensesInTree, parseLicenseExpression } from './licenses.js';
+import { TYPE_KEYS } from './project-types.js';
+import { projectSlug } from './projects.js';
+import { REPOSITORY_PROTOCOLS } from './repositories.js';
+import { STATUSES } from './statuses.js';
+
+// Defined with their display metadata in src/statuses.js
+export const PROJECT_STATUSES = STATUSES.map(status => status.key);
+
+export const LOGO_DIR = 'misc/logos/';
+
+// Each license entry must be a valid SPDX expression made of licenses and
+// exceptions listed in src/licenses.js, so that it can be classified
+function checkLicense(value) {
+    const errors = [];
+    const expressions = Array.isArray(value) ? value : [value];
+    expressions.forEach((expression, i) => {
+        if (typeof expression !== 'string') return;
+        const label = Array.isArray(value) ? `license[${i}]` : '"license"';
+        try {
+            for (const leaf of licensesInTree(parseLicenseExpression(expression))) {
+                if (!getLicenseFamily(leaf.license)) {
+                    errors.push(`${label}: unknown license "${leaf.license}" (add it to LICENSES in src/licenses.js with its family)`);
+                }
+                if (leaf.exception && !isKnownException(leaf.exception)) {
+                    errors.push(`${label}: unknown exception "${leaf.exception}" (add it to EXCEPTIONS in src/licenses.js)`);
+                }
+            }
+        } catch (error) {
+            errors.push(`${label}: ${error.message}`);
+        }
+    });
+    return errors;
+}
+
+function checkRepository(value) {
+    let url = null;
+    try { url = new URL(value); } catch { /* reported below */ }
+    if (!url || !REPOSITORY_PROTOCOLS.includes(url.protocol) || !url.host) {
+        const expected = REPOSITORY_PROTOCOLS.map(protocol => `${protocol}//`);
+        return [`"repository": "${value}" is not a valid repository URL (expected ${expected.slice(0, -1).join(', ')} or ${expected.at(-1)})`];
+    }
+    return [];
+}
+
+// Feed dates (see src/feed.js) are calendar dates like "2025-06-01", not in the future
+function checkDate(key) {
+    return (value) => {
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+        if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+            return [`"${key}": "${value}" is not a valid date (expected YYYY-MM-DD)`];
+        }
+        if (date > new Date()) {
+            return [`"${key}": ${value} is in the future`];
+        }
+        return [];
+    };
+}
+
+// Field definitions. Every entry is checked against these; keys not listed
+// here are rejected so that typos (e.g. "yearstarted") don't slip through.
+export const PROJECT_FIELDS = {
+    name: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    types: { type: 'array', items: 'string', enum: TYPE_KEYS, required: true, nonEmpty: true },
+    technologies: { type: 'array', items: 'string', required: true },
+    license: { type: ['string', 'array'], items: 'string', required: true, nonEmpty: true, check: checkLicense },
+    yearStarted: { type: 'integer', required: true, min: 1970 },
+    // Optional when it can be derived from the project's activity (see src/statuses.js)
+    status: { type: 'string', enum: PROJECT_STATUSES },
+    logo: { type: 'string', nullable: true, required: true },
+    url: { type: 'string', pattern: /^https?:\/\/[^\s/]+/, required: true },
+    // Optional; where the enrichment command (scripts/enrich.mjs) looks instead of `url`
+    repository: { type: 'string', check: checkRepository },
+    ltcSupported: { type: 'boolean', required: true },
+    // Optional; without them the feed falls back to the git history of projects.json
+    dateAdded: { type: 'string', check: checkDate('dateAdded') },
+    dateUpdated: { type: 'string', check: checkDate('dateUpdated') },
+    // Optional; date of the latest work on the project, for deriving its status
+    lastActivity: { type: 'string', check: checkDate('lastActivity') }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, expected) {
+    const actual = typeOf(value);
+    const allowed = Array.isArray(expected) ? expected : [expected];
+    return allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+}
+
+// Normalize a URL for duplicate detection (case-insensitive host, no trailing slash)
+function normalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.protocol}//${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+    } catch {
+        return url.trim().replace(/\/+$/, '').toLowerCase();
+    }
+}
+
+function validateField(key, value, field, maxYear) {
+    const errors = [];
+
+    if (value === null) {
+        if (!field.nullable) errors.push(`"${key}" must not be null`);
+        return errors;
+    }
+    if (!matchesType(value, field.type)) {
+        const expected = Array.isArray(field.type) ? field.type.join(' or ') : field.type;
+        errors.push(`"${key}" must be ${expected === 'integer' ? 'an integer' : `a ${expected}`}, got ${JSON.stringify(value)}`);
+        return errors;
+    }
+
+    if (Array.isArray(value)) {
+        if (field.nonEmpty && value.length === 0) {
+            errors.push(`"${key}" must not be empty`);
+        }
+        const seen = new Set();
+        value.forEach((item, i) => {
+            if (typeOf(item) !== field.items) {
+                errors.push(`${key}[${i}] must be a ${field.items}, got ${JSON.stringify(item)}`);
+                return;
+            }
+            if (field.items === 'string' && !item.trim()) {
+                errors.push(`${key}[${i}] must not be blank`);
+            }
+            if (field.enum && !field.enum.includes(item)) {
+                errors.push(`${key}[${i}]: unknown value "${item}" (expected one of: ${field.enum.join(', ')})`);
+            }
+            if (seen.has(item)) {
+                errors.push(`${key}[${i}]: duplicate value "${item}"`);
+            }
+            seen.add(item);
+        });
+    }
+
+    if (typeof value === 'string') {
+        if (field.nonEmpty !== false && !value.trim()) {
+            errors.push(`"${key}" must not be blank`);
+        }
+        if (field.enum && !field.enum.includes(value)) {
+            errors.push(`"${key}": unknown value "${value}" (expected one of: ${field.enum.join(', ')})`);
+        }
+        if (field.pattern && !field.pattern.test(value)) {
+            errors.push(`"${key}": "${value}" is not a valid http(s) URL`);
+        }
+    }
+
+    if (field.check) {
+        errors.push(...field.check(value));
+    }
+
+    if (field.type === 'integer') {
+        if (field.min !== undefined && value < field.min) {
+            errors.push(`"${key}": ${value} is before ${field.min}`);
+        }
+        if (value > maxYear) {
+            errors.push(`"${key}": ${value} is in the future`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the parsed contents of projects.json.
+ *
+ * @param {unknown} projects - Parsed projects.json
+ * @param {object} [options]
+ * @param {(logoPath: string) => boolean} [options.logoExists] - Checks that a logo path exists on disk
+ * @returns {string[]} One human-readable message per problem, prefixed with the entry it belongs to
+ */
+export function validateProjects(projects, { logoExists = () => true } = {}) {
+    if (!Array.isArray(projects)) {
+        return ['projects.json must contain an array of projects'];
+    }
+
+    const errors = [];
+    const maxYear = new Date().getFullYear() + 1;
+    const names = new Map();
+    const slugs = new Map();
+    const urls = new Map();
+
+    projects.forEach((project, index) => {
+        const label = project && typeof project.name === 'string' && project.name.trim()
+            ? `projects.json[${index}] "${project.name}"`
+            : `projects.json[${index}]`;
+
+        if (typeOf(project) !== 'object') {
+            errors.push(`${label}: entry must be an object`);
+            return;
+        }
+
+        for (const key of Object.keys(project)) {
+            if (!(key in PROJECT_FIELDS)) {
+                errors.push(`${label}: unknown field "${key}"`);
+            }
+        }
+
+        for (const [key, field] of Object.entries(PROJECT_FIELDS)) {
+            if (!(key in project)) {
+                if (field.required) errors.push(`${label}: missing required field "${key}"`);
+                continue;
+            }
+            for (const message of validateField(key, project[key], field, maxYear)) {
+                errors.push(`${label}: ${message}`);
+            }
+        }
+
+        if (typeof project.logo === 'string' && project.logo.trim()) {
+            if (!project.logo.startsWith(LOGO_DIR)) {
+                errors.push(`${label}: logo "${project.logo}" must be under ${LOGO_DIR}`);
+            } else if (!logoExists(project.logo)) {
+                errors.push(`${label}: logo "${project.logo}" does not exist`);
+            }
+        }
+
+        // A derived status needs a date to go on: this field, or the last commit
+        // the enrichment command finds in the repository
+        if (!('status' in project) && !('lastActivity' in project) && !('repository' in project)) {
+            errors.push(`${label}: missing "status" (required unless "lastActivity" or "repository" is set to derive it from)`);
+        }
+
+        if (typeof project.dateAdded === 'string' && typeof project.dateUpdated === 'string' &&
+            project.dateUpdated < project.dateAdded) {
+            errors.push(`${label}: dateUpdated ${project.dateUpdated} is before dateAdded ${project.dateAdded}`);
+        }
+
+        if (typeof project.name === 'string' && project.name.trim()) {
+            const key = project.name.trim().toLowerCase();
+            if (names.has(key)) {
+                errors.push(`${label}: duplicate name (also used by projects.json[${names.get(key)}])`);
+            } else {
+                names.set(key, index);
+
+                // Slugs are used in #/project/<slug> links, so they must be unique too
+                const slug = projectSlug(project);
+                if (!slug) {
+                    errors.push(`${label}: name must contain at least one letter or digit`);
+                } else if (slugs.has(slug)) {
+                    errors.push(`${label}: slug "${slug}" collides with projects.json[${slugs.get(slug)}]`);
+                } else {
+                    slugs.set(slug, index);
+                }
+            }
+        }
+
+        if (typeof project.url === 'string' && project.url.trim()) {
+            const key = normalizeUrl(project.url);
+            if (urls.has(key)) {
+                errors.push(`${label}: duplicate url "${project.url}" (also used by projects.json[${urls.get(key)}])`);
+            } else {
+                urls.set(key, index);
+            }
+        }
+    });
+
+    return errors;
+}
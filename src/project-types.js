@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Project types. The projects.json schema, tooltips, exports and the static
+// API take their keys, labels and descriptions from this list; the filter
+// buttons in index.html, getProjectIcon in app.js and TYPE_GLYPHS in
+// src/avatars.js must be kept in step.
+
+export const TYPES = [
+    { key: 'ai', label: 'AI/ML', description: 'Artificial Intelligence & Machine Learning project' },
+    { key: 'academic', label: 'Academic', description: 'Academic or educational project' },
+    { key: 'research', label: 'Research', description: 'Research & development project' },
+    { key: 'hardware', label: 'Hardware', description: 'Hardware, HPC, or low-level systems project' },
+    { key: 'web', label: 'Web', description: 'Web application or online service' },
+    { key: 'mobile', label: 'Mobile', description: 'Mobile application project' },
+    { key: 'enterprise', label: 'Enterprise', description: 'Enterprise-scale or large organization project' },
+    { key: 'plugin', label: 'Plugin', description: 'Plugin or extension for existing software' },
+    { key: 'just-for-fun', label: 'Just for Fun', description: 'Fun, experimental, or hobby project' }
+];
+
+export const TYPE_KEYS = TYPES.map(type => type.key);
+
+export function getType(key) {
+    return TYPES.find(type => type.key === key) || null;
+}
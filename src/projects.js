@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Helpers shared by everything that consumes projects.json.
+
+// URL-safe identifier derived from a project name ("Apache Airavata" -> "apache-airavata")
+export function slugify(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+export function projectSlug(project) {
+    return slugify(project.name);
+}
@@ -0,0 +1,6 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// What a project's `repository` in projects.json may point at. Shared by the
+// schema (src/project-schema.js) and the plain git adapter
+// (src/forges/git.js), which clones any of these.
+
+export const REPOSITORY_PROTOCOLS = ['http:', 'https:', 'git:', 'ssh:'];
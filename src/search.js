@@ -0,0 +1,183 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Ranked, typo-tolerant full-text search over project names, descriptions and
+// technologies.
+//
+// Every query term has to match somewhere in a project for it to be a result.
+// A term's score is the best match it finds, weighted by field (a hit in the
+// name counts more than one in the description) and by how close the match is.
+
+import { escapeHtml } from './html.js';
+
+const FIELD_WEIGHTS = { name: 3, technologies: 2, description: 1 };
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, substring: 0.5, fuzzy: 0.4 };
+
+// Letters, digits, combining marks, and the "+"/"#" in names like C++ and C#
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}+#]+/gu;
+
+export function normalizeText(text) {
+    return String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Split text into normalized words, keeping their offsets in the original string
+function tokenize(text) {
+    const tokens = [];
+    for (const match of String(text).matchAll(WORD_PATTERN)) {
+        tokens.push({ value: normalizeText(match[0]), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+    return prev[b.length];
+}
+
+// Allow one typo from 4 characters, two from 8
+function maxTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+// Returns { quality, start, end } for a match of `term` in `token`, or null
+function matchToken(term, token) {
+    const exactLength = token.end - token.start === token.value.length;
+    if (token.value === term) {
+        return { quality: 'exact', start: token.start, end: token.end };
+    }
+    if (token.value.startsWith(term)) {
+        return { quality: 'prefix', start: token.start, end: exactLength ? token.start + term.length : token.end };
+    }
+    const index = term.length >= 3 ? token.value.indexOf(term) : -1;
+    if (index !== -1) {
+        return exactLength
+            ? { quality: 'substring', start: token.start + index, end: token.start + index + term.length }
+            : { quality: 'substring', start: token.start, end: token.end };
+    }
+    const typos = maxTypos(term);
+    if (typos > 0) {
+        // Compare against the whole word and against a same-length prefix,
+        // so a typo in a half-typed word still matches
+        const prefix = token.value.slice(0, term.length);
+        if (editDistance(term, token.value, typos) <= typos ||
+            (prefix.length < token.value.length && editDistance(term, prefix, typos) <= typos)) {
+            return { quality: 'fuzzy', start: token.start, end: token.end };
+        }
+    }
+    return null;
+}
+
+/**
+ * Build a search index over a list of projects.
+ *
+ * `search(query)` returns null for an empty query, otherwise the matching
+ * projects ordered by descending score:
+ *   [{ project, score, highlights: { name: [[start, end]], description: [...], technologies: [[...], ...] } }]
+ */
+export function createSearchIndex(projects) {
+    const entries = projects.map(project => ({
+        project,
+        fields: {
+            name: [tokenize(project.name)],
+            description: [tokenize(project.description)],
+            technologies: project.technologies.map(tokenize)
+        }
+    }));
+
+    const search = (query) => {
+        const terms = [...new Set(tokenize(query).map(token => token.value))];
+        if (terms.length === 0) return null;
+
+        const results = [];
+        for (const { project, fields } of entries) {
+            const highlights = {
+                name: [[]],
+                description: [[]],
+                technologies: project.technologies.map(() => [])
+            };
+            let score = 0;
+            let matchedAll = true;
+
+            for (const term of terms) {
+                let best = 0;
+                for (const [field, values] of Object.entries(fields)) {
+                    values.forEach((tokens, valueIndex) => {
+                        for (const token of tokens) {
+                            const match = matchToken(term, token);
+                            if (!match) continue;
+                            best = Math.max(best, FIELD_WEIGHTS[field] * MATCH_QUALITY[match.quality]);
+                            highlights[field][valueIndex].push([match.start, match.end]);
+                        }
+                    });
+                }
+                if (best === 0) {
+                    matchedAll = false;
+                    break;
+                }
+                score += best;
+            }
+
+            if (matchedAll) {
+                results.push({
+                    project,
+                    score,
+                    highlights: {
+                        name: highlights.name[0],
+                        description: highlights.description[0],
+                        technologies: highlights.technologies
+                    }
+                });
+            }
+        }
+
+        // Array#sort is stable, so ties keep the catalog's existing order
+        return results.sort((a, b) => b.score - a.score);
+    };
+
+    return { search };
+}
+
+/**
+ * Escape `text` for HTML and wrap the given [start, end) ranges in <mark>.
+ */
+export function highlightText(text, ranges = [], markClass = '') {
+    if (!ranges.length) return escapeHtml(text);
+
+    const merged = [];
+    for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    }
+
+    let html = '';
+    let cursor = 0;
+    for (const [start, end] of merged) {
+        html += escapeHtml(text.slice(cursor, start));
+        html += `<mark${markClass ? ` class="${markClass}"` : ''}>${escapeHtml(text.slice(start, end))}</mark>`;
+        cursor = end;
+    }
+    return html + escapeHtml(text.slice(cursor));
+}
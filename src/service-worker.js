@@ -0,0 +1,78 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Service worker for offline use, built into service-worker.js at the site root
+// by serviceWorkerPlugin in vite.config.mjs, which fills in the cache version
+// and the files to precache (the app shell, projects.json and the project logos).
+//
+// Pages are fetched from the network first and fall back to the cached app,
+// or to offline.html for pages that aren't cached. projects.json is served
+// stale-while-revalidate: the cached catalog right away, updated in the
+// background for the next visit. Everything else precached is cache-first;
+// other requests go straight to the network.
+
+const CACHE_VERSION = __CACHE_VERSION__;
+const CACHE_PREFIX = 'librelinker-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const PRECACHE_URLS = __PRECACHE_URLS__;
+const OFFLINE_PAGE = 'offline.html';
+const CATALOG_URL = new URL('projects.json', self.location).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of previous builds
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (request.url.split('?')[0] === CATALOG_URL) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+async function networkFirst(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cache = await caches.open(CACHE_NAME);
+        // The app keeps its view in the query string and hash, so any of them is the cached page
+        return (await cache.match(request, { ignoreSearch: true })) ||
+            (await cache.match(OFFLINE_PAGE)) ||
+            Response.error();
+    }
+}
+
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const update = fetch(event.request).then(async (response) => {
+        if (response.ok) await cache.put(event.request, response.clone());
+        return response;
+    });
+    // Keep the worker alive until the cache is updated, and don't report a failed
+    // update when there's a cached copy to fall back on
+    event.waitUntil(update.catch(() => {}));
+    return cached || update;
+}
+
+async function cacheFirst(request) {
+    return (await caches.match(request)) || fetch(request);
+}
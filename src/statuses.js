@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Project lifecycle states. The status filter, badges and the projects.json
+// schema are all generated from this list, so a new status only needs adding
+// here (and a rule in deriveStatus if it can be derived).
+//
+// A project's `status` in projects.json always wins. Without one, the status
+// is derived from its last activity: the later of its `lastActivity` field
+// and the last commit found by the enrichment command (src/enrichment.js).
+
+export const STATUSES = [
+    {
+        key: 'Incubating',
+        description: 'New and taking shape',
+        badgeClass: 'bg-purple-100 dark:bg-purple-900 text-purple-800 dark:text-purple-200'
+    },
+    {
+        key: 'Active',
+        description: 'Under active development',
+        badgeClass: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200'
+    },
+    {
+        key: 'Maintenance',
+        description: 'Stable; receiving fixes rather than new features',
+        badgeClass: 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200'
+    },
+    {
+        key: 'Dormant',
+        description: 'Not currently being developed',
+        badgeClass: 'bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-200'
+    },
+    {
+        key: 'Archived',
+        description: 'Finished or retired; kept for reference',
+        badgeClass: 'bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200'
+    }
+];
+
+// When a status is derived: a project with no activity for `maintenanceMonths`
+// is in Maintenance, and for `dormantMonths` Dormant. Otherwise it is
+// Incubating if it started in the last `incubatingYears` calendar years, and
+// Active after that. The catalog sets them in LIFECYCLE_FILE; these are the
+// defaults for anything it leaves out.
+export const LIFECYCLE_THRESHOLDS = {
+    maintenanceMonths: 6,
+    dormantMonths: 18,
+    incubatingYears: 1
+};
+
+export const LIFECYCLE_FILE = 'lifecycle.json';
+
+/**
+ * The thresholds set in LIFECYCLE_FILE, over the defaults.
+ *
+ * @param {object} [config] - Contents of LIFECYCLE_FILE
+ * @returns {typeof LIFECYCLE_THRESHOLDS}
+ * @throws {Error} On an unknown key, a value that isn't a whole number, or a
+ *   Dormant threshold that doesn't come after the Maintenance one
+ */
+export function lifecycleThresholds(config = {}) {
+    for (const [key, value] of Object.entries(config)) {
+        if (!Object.hasOwn(LIFECYCLE_THRESHOLDS, key)) {
+            throw new Error(`${LIFECYCLE_FILE}: unknown threshold "${key}" (expected one of: ${Object.keys(LIFECYCLE_THRESHOLDS).join(', ')})`);
+        }
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`${LIFECYCLE_FILE}: "${key}" must be a whole number, got ${JSON.stringify(value)}`);
+        }
+    }
+    const thresholds = { ...LIFECYCLE_THRESHOLDS, ...config };
+    if (thresholds.dormantMonths <= thresholds.maintenanceMonths) {
+        throw new Error(`${LIFECYCLE_FILE}: "dormantMonths" must be more than "maintenanceMonths"`);
+    }
+    return thresholds;
+}
+
+// Used for statuses missing from STATUSES (which the schema rejects at build time)
+const FALLBACK_BADGE_CLASS = 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200';
+
+export function getStatus(key) {
+    return STATUSES.find(status => status.key === key) || null;
+}
+
+export function getStatusBadgeClass(key) {
+    return getStatus(key)?.badgeClass || FALLBACK_BADGE_CLASS;
+}
+
+// Latest of the project's own `lastActivity` and its enriched last commit, as YYYY-MM-DD
+export function getLastActivity(project) {
+    const dates = [project.lastActivity, project.forge?.lastCommit].filter(Boolean).sort();
+    return dates.length > 0 ? dates[dates.length - 1] : null;
+}
+
+// Whole months from `date` (YYYY-MM-DD) to `now`
+function monthsSince(date, now) {
+    const then = new Date(`${date}T00:00:00Z`);
+    const months = (now.getUTCFullYear() - then.getUTCFullYear()) * 12 + now.getUTCMonth() - then.getUTCMonth();
+    return Math.max(0, now.getUTCDate() < then.getUTCDate() ? months - 1 : months);
+}
+
+/**
+ * The status a project's activity points to, and why.
+ *
+ * @param {object} project - Entry from projects.json, with `forge` if enriched
+ * @param {{ now?: Date, thresholds?: typeof LIFECYCLE_THRESHOLDS }} [options]
+ * @returns {{ key: string, rule: 'archived'|'dormant'|'maintenance'|'incubating'|'active', lastActivity: string|null, months: number|null, now: Date, thresholds: typeof LIFECYCLE_THRESHOLDS }|null}
+ *   null when there is nothing to go on. `now` and `thresholds` are the ones
+ *   the rule was applied with, for explaining it.
+ */
+export function deriveStatus(project, { now = new Date(), thresholds = LIFECYCLE_THRESHOLDS } = {}) {
+    const lastActivity = getLastActivity(project);
+    const months = lastActivity ? monthsSince(lastActivity, now) : null;
+    const result = (key, rule) => ({ key, rule, lastActivity, months, now, thresholds });
+
+    if (project.forge?.archived) return result('Archived', 'archived');
+    if (months === null) return null;
+    if (months >= thresholds.dormantMonths) return result('Dormant', 'dormant');
+    if (months >= thresholds.maintenanceMonths) return result('Maintenance', 'maintenance');
+    if (project.yearStarted >= now.getUTCFullYear() - thresholds.incubatingYears) return result('Incubating', 'incubating');
+    return result('Active', 'active');
+}
@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Technology normalization and facet counting.
+//
+// Technologies in projects.json are free text, so the same thing can be
+// spelled several ways ("C++", "cpp", "Cpp"). Each technology is reduced to a
+// key: lowercased, whitespace collapsed, then mapped through ALIASES. Facets
+// and filters work on keys; labels are only for display.
+
+import { normalizeText } from './search.js';
+
+// Alternate spelling -> canonical key
+const ALIASES = {
+    'cpp': 'c++',
+    'c plus plus': 'c++',
+    'cplusplus': 'c++',
+    'csharp': 'c#',
+    'c sharp': 'c#',
+    'js': 'javascript',
+    'ecmascript': 'javascript',
+    'ts': 'typescript',
+    'py': 'python',
+    'python3': 'python',
+    'golang': 'go',
+    'nextjs': 'next.js',
+    'next': 'next.js',
+    'reactjs': 'react',
+    'react.js': 'react',
+    'nodejs': 'node.js',
+    'node': 'node.js',
+    'k8s': 'kubernetes',
+    'ml': 'machine learning',
+    'risc v': 'risc-v',
+    'riscv': 'risc-v',
+    'sso': 'single sign-on',
+    'single sign on': 'single sign-on',
+    'a11y': 'accessibility',
+    'accessibility (a11y)': 'accessibility',
+    'educational technology': 'education technology',
+    'edtech': 'education technology'
+};
+
+// Display labels for canonical keys whose most common spelling isn't ideal
+const LABELS = {
+    'c++': 'C++',
+    'c#': 'C#',
+    'javascript': 'JavaScript',
+    'typescript': 'TypeScript',
+    'next.js': 'Next.js',
+    'node.js': 'Node.js',
+    'risc-v': 'RISC-V',
+    'single sign-on': 'Single Sign-On',
+    'accessibility': 'Accessibility'
+};
+
+export function technologyKey(technology) {
+    const key = normalizeText(technology).trim().replace(/\s+/g, ' ');
+    return ALIASES[key] || key;
+}
+
+/**
+ * Count technologies across projects.
+ *
+ * @param {object[]} projects - Projects to count over
+ * @param {object[]} [allProjects] - Projects used to pick display labels (defaults to `projects`)
+ * @returns {{ key: string, label: string, count: number }[]} Sorted by count, then label
+ */
+export function buildTechnologyFacets(projects, allProjects = projects) {
+    // Most common original spelling per key becomes its label
+    const spellings = new Map();
+    for (const project of allProjects) {
+        for (const technology of project.technologies) {
+            const key = technologyKey(technology);
+            if (!spellings.has(key)) spellings.set(key, new Map());
+            const counts = spellings.get(key);
+            counts.set(technology, (counts.get(technology) || 0) + 1);
+        }
+    }
+
+    const counts = new Map([...spellings.keys()].map(key => [key, 0]));
+    for (const project of projects) {
+        for (const key of new Set(project.technologies.map(technologyKey))) {
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    }
+
+    return [...counts.entries()]
+        .map(([key, count]) => {
+            const variants = [...(spellings.get(key) || new Map()).entries()].sort((a, b) => b[1] - a[1]);
+            return { key, label: LABELS[key] || variants[0]?.[0] || key, count };
+        })
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
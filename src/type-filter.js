@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Boolean filtering on project types.
+//
+// A type filter has included and excluded types plus a mode. In "and" mode a
+// project needs every included type, in "or" mode at least one; in both modes
+// it must have none of the excluded types.
+
+export const TYPE_FILTER_MODES = ['and', 'or'];
+
+/**
+ * @param {string[]} types - The project's types
+ * @param {{ include: Iterable<string>, exclude: Iterable<string>, mode: 'and'|'or' }} filter
+ * @returns {boolean}
+ */
+export function matchesTypeFilter(types, { include, exclude, mode }) {
+    const included = [...include];
+    if ([...exclude].some(type => types.includes(type))) return false;
+    if (included.length === 0) return true;
+    return mode === 'or'
+        ? included.some(type => types.includes(type))
+        : included.every(type => types.includes(type));
+}
+
+/**
+ * Describe a type filter as a boolean expression, e.g.
+ * "(AI/ML OR Hardware) AND NOT Academic". Returns '' when nothing is selected.
+ *
+ * @param {{ include: Iterable<string>, exclude: Iterable<string>, mode: 'and'|'or' }} filter
+ * @param {(type: string) => string} [getLabel] - Display name for a type key
+ * @param {{ and: string, or: string, not: string }} [operators] - Operator words, for translations
+ */
+export function describeTypeFilter({ include, exclude, mode }, getLabel = type => type, operators = { and: 'AND', or: 'OR', not: 'NOT' }) {
+    const included = [...include].map(getLabel);
+    const excluded = [...exclude].map(type => `${operators.not} ${getLabel(type)}`);
+
+    const parts = [];
+    if (included.length > 0) {
+        const joined = included.join(` ${operators[mode]} `);
+        // AND binds tighter than OR, so an OR group needs parentheses next to the NOTs
+        parts.push(mode === 'or' && included.length > 1 && excluded.length > 0 ? `(${joined})` : joined);
+    }
+    parts.push(...excluded);
+    return parts.join(` ${operators.and} `);
+}
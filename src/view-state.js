@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Encodes the catalog's view state (filters, sort, LTC grouping) in the query
+// string so that views survive a refresh and can be shared.
+//
+//   ?q=fpga&type=ai,hardware,-academic&typemode=or&license=strong-copyleft&tech=c++,cuda
+//    &status=active&year=2020-&sort=name,-yearStarted&ltc=bottom
+//
+// In `type`, a leading "-" marks an excluded type; `typemode` is "or" when any
+// included type is enough (it defaults to "and").
+// `year` is an inclusive range of yearStarted: "2015-2020", "2020-" (since
+// 2020), "-2018" (up to 2018) or "2021" (that year only).
+// `sort` lists columns in priority order; a leading "-" means descending.
+// `ltc` is one of top / bottom / off and is omitted when it matches the
+// default for the rest of the state (see defaultLtcOnTop).
+import { TYPE_FILTER_MODES } from './type-filter.js';
+
+const LTC_VALUES = { top: true, bottom: false, off: null };
+const YEAR_RANGE_PATTERN = /^(\d{4})?-(\d{4})?$/;
+
+function splitList(value) {
+    return value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+}
+
+export function hasYearRange(yearRange) {
+    return yearRange.from !== null || yearRange.to !== null;
+}
+
+function serializeYearRange({ from, to }) {
+    if (from !== null && from === to) return String(from);
+    return `${from ?? ''}-${to ?? ''}`;
+}
+
+function parseYearRange(value) {
+    const range = { from: null, to: null };
+    if (!value) return range;
+    if (/^\d{4}$/.test(value)) {
+        range.from = range.to = Number(value);
+        return range;
+    }
+    const match = value.match(YEAR_RANGE_PATTERN);
+    if (!match) return range;
+    range.from = match[1] ? Number(match[1]) : null;
+    range.to = match[2] ? Number(match[2]) : null;
+    if (range.from !== null && range.to !== null && range.from > range.to) {
+        [range.from, range.to] = [range.to, range.from];
+    }
+    return range;
+}
+
+// LTC projects are grouped on top unless filters or a search are active
+export function defaultLtcOnTop(state) {
+    const filtered = state.types.length > 0 || state.excludedTypes.length > 0 ||
+        state.licenses.length > 0 || state.technologies.length > 0 ||
+        state.statuses.length > 0 || hasYearRange(state.yearRange);
+    return state.query || filtered ? null : true;
+}
+
+/**
+ * @param {{ query: string, types: string[], excludedTypes: string[], typeMode: 'and'|'or', licenses: string[], technologies: string[], statuses: string[], yearRange: { from: number|null, to: number|null }, sort: { column: string, direction: 'asc'|'desc' }[], ltcOnTop: boolean|null }} state
+ * @returns {string} Query string without the leading "?" (empty for the default view)
+ */
+export function serializeViewState(state) {
+    const params = new URLSearchParams();
+    if (state.query) params.set('q', state.query);
+    const types = [...state.types, ...state.excludedTypes.map(type => `-${type}`)];
+    if (types.length) params.set('type', types.join(','));
+    if (state.typeMode === 'or') params.set('typemode', 'or');
+    if (state.licenses.length) params.set('license', state.licenses.join(','));
+    if (state.technologies.length) params.set('tech', state.technologies.join(','));
+    if (state.statuses.length) params.set('status', state.statuses.map(s => s.toLowerCase()).join(','));
+    if (hasYearRange(state.yearRange)) params.set('year', serializeYearRange(state.yearRange));
+    if (state.sort.length) {
+        params.set('sort', state.sort.map(({ column, direction }) => (direction === 'desc' ? `-${column}` : column)).join(','));
+    }
+    if (state.ltcOnTop !== defaultLtcOnTop(state)) {
+        const ltc = Object.keys(LTC_VALUES).find(key => LTC_VALUES[key] === state.ltcOnTop);
+        params.set('ltc', ltc);
+    }
+    // Keep commas readable in shared links
+    return params.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * Parse a query string produced by serializeViewState. Unknown values are
+ * dropped rather than rejected so that stale links still open.
+ *
+ * @param {string} search - location.search
+ * @param {{ types: string[], licenses: string[], technologies: string[], statuses: string[], sortColumns: string[] }} allowed
+ */
+export function parseViewState(search, allowed) {
+    const params = new URLSearchParams(search);
+    const unique = values => [...new Set(values)];
+
+    const typeEntries = unique(splitList(params.get('type')));
+    const types = typeEntries.filter(t => allowed.types.includes(t));
+    // A type can't be both included and excluded; inclusion wins
+    const excludedTypes = typeEntries
+        .filter(t => t.startsWith('-'))
+        .map(t => t.slice(1))
+        .filter(t => allowed.types.includes(t) && !types.includes(t));
+    // The first mode ("and") is the default
+    const typeMode = TYPE_FILTER_MODES.includes(params.get('typemode')) ? params.get('typemode') : TYPE_FILTER_MODES[0];
+    const licenses = unique(splitList(params.get('license'))).filter(l => allowed.licenses.includes(l));
+    const technologies = unique(splitList(params.get('tech'))).filter(t => allowed.technologies.includes(t));
+    // Statuses are lowercase in the URL but keep their canonical case in the state
+    const statuses = unique(splitList(params.get('status'))
+        .map(s => allowed.statuses.find(status => status.toLowerCase() === s.toLowerCase()))
+        .filter(Boolean));
+    const yearRange = parseYearRange(params.get('year'));
+
+    const sort = [];
+    for (const entry of splitList(params.get('sort'))) {
+        const direction = entry.startsWith('-') ? 'desc' : 'asc';
+        const column = entry.replace(/^[-+]/, '');
+        if (allowed.sortColumns.includes(column) && !sort.some(s => s.column === column)) {
+            sort.push({ column, direction });
+        }
+    }
+
+    const query = (params.get('q') || '').trim();
+
+    const state = { query, types, excludedTypes, typeMode, licenses, technologies, statuses, yearRange, sort };
+    const ltc = params.get('ltc');
+    state.ltcOnTop = ltc !== null && Object.hasOwn(LTC_VALUES, ltc) ? LTC_VALUES[ltc] : defaultLtcOnTop(state);
+    return state;
+}
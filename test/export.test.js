@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Catalog exports (src/export.js).
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { toMarkdown } from '../src/export.js';
+
+const project = {
+    name: 'Example',
+    description: 'An example project',
+    types: ['research'],
+    technologies: ['C'],
+    license: 'MIT',
+    yearStarted: 2020,
+    status: 'Active',
+    ltcSupported: false
+};
+
+const markdownLink = url => toMarkdown([{ ...project, url }]).split('\n')[2].split(' | ')[0].slice(2);
+
+test('Markdown links keep escapes already in the URL', () => {
+    assert.equal(markdownLink('https://example.org/my%20project/'), '[Example](https://example.org/my%20project/)');
+});
+
+test('Markdown links escape what would end the link or the cell', () => {
+    assert.equal(markdownLink('https://example.org/a (b)/<c>|d'), '[Example](https://example.org/a%20%28b%29/%3Cc%3E%7Cd)');
+    assert.equal(markdownLink('https://example.org/café'), '[Example](https://example.org/café)');
+});
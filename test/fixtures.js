@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Shared test fixtures.
+import http from 'node:http';
+
+/**
+ * An HTTP server on a free local port, for code that takes a URL to fetch.
+ *
+ * @param {http.RequestListener} handler
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export async function listen(handler) {
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => {
+            // Requests left hanging on purpose would keep the server open
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
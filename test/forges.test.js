@@ -0,0 +1,240 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Forge adapters (src/forges/) against local fixtures: an HTTP server that
+// answers like each forge's API, and bare git repositories in a temporary
+// directory.
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { createGitAdapter } from '../src/forges/git.js';
+import { createGiteaAdapter } from '../src/forges/gitea.js';
+import { createGitHubAdapter } from '../src/forges/github.js';
+import { createGitLabAdapter } from '../src/forges/gitlab.js';
+import { createForgeAdapters } from '../src/forges/index.js';
+import { listen } from './fixtures.js';
+
+// Serves `routes` (request URL -> { status = 200, body, headers, stall }),
+// and a 404 for anything else
+function serve(routes) {
+    return listen((request, response) => {
+        const route = routes[request.url];
+        if (!route) {
+            response.writeHead(404, { 'Content-Type': 'application/json' });
+            response.end('{"message":"Not Found"}');
+            return;
+        }
+        if (route.stall) return;
+        response.writeHead(route.status ?? 200, { 'Content-Type': 'application/json', ...route.headers });
+        response.end(route.body === undefined ? '' : JSON.stringify(route.body));
+    });
+}
+
+const collect = (adapter, url) => adapter.collect(adapter.match(new URL(url), { explicit: true }));
+
+describe('github', () => {
+    let fixture;
+    before(async () => {
+        fixture = await serve({
+            '/repos/o/r': { body: { stargazers_count: 12, archived: false } },
+            '/repos/o/r/commits?per_page=1': { body: [{ commit: { committer: { date: '2026-09-01T22:00:00-05:00' } } }] },
+            '/repos/o/r/contributors?per_page=1&anon=1': {
+                body: [{}],
+                headers: { Link: '<https://api.github.com/repositories/1/contributors?per_page=1&anon=1&page=2>; rel="next", <https://api.github.com/repositories/1/contributors?per_page=1&anon=1&page=7>; rel="last"' }
+            },
+            '/repos/o/r/releases/latest': { body: { tag_name: 'v2', name: '', published_at: '2026-08-01T00:00:00Z', html_url: 'https://github.com/o/r/releases/v2' } },
+            '/repos/o/empty': { body: { stargazers_count: 0, archived: true } },
+            '/repos/o/empty/commits?per_page=1': { status: 409, body: { message: 'Git Repository is empty.' } },
+            '/repos/o/empty/contributors?per_page=1&anon=1': { status: 204 },
+            '/repos/o/broken': { status: 500, body: {} },
+            '/repos/o/slow': { stall: true }
+        });
+    });
+    after(() => fixture.close());
+
+    test('matches repositories on its hosts only', () => {
+        const adapter = createGitHubAdapter({ hosts: ['github.com', 'github.example.edu'] });
+        assert.deepEqual(adapter.match(new URL('https://github.com/o/r')), { host: 'github.com', path: 'o/r' });
+        assert.deepEqual(adapter.match(new URL('https://github.example.edu/o/r')), { host: 'github.example.edu', path: 'o/r' });
+        assert.equal(adapter.match(new URL('https://gitlab.com/o/r')), null);
+    });
+
+    test('counts contributors from the Link header and reads the latest release', async () => {
+        const stats = await collect(createGitHubAdapter({ apiUrl: fixture.url }), 'https://github.com/o/r');
+        assert.deepEqual(stats, {
+            lastCommit: '2026-09-02',
+            contributors: 7,
+            stars: 12,
+            archived: false,
+            release: { name: 'v2', tag: 'v2', date: '2026-08-01', url: 'https://github.com/o/r/releases/v2' }
+        });
+    });
+
+    test('reads an empty repository without releases (409, 204 and 404)', async () => {
+        const stats = await collect(createGitHubAdapter({ apiUrl: fixture.url }), 'https://github.com/o/empty');
+        assert.deepEqual(stats, { lastCommit: null, contributors: 0, stars: 0, archived: true, release: null });
+    });
+
+    test('fails on an error status', async () => {
+        await assert.rejects(collect(createGitHubAdapter({ apiUrl: fixture.url }), 'https://github.com/o/broken'), /HTTP 500/);
+    });
+
+    test('gives up on a request that takes too long', async () => {
+        await assert.rejects(collect(createGitHubAdapter({ apiUrl: fixture.url, timeoutMs: 100 }), 'https://github.com/o/slow'), /timed out after 100 ms/);
+    });
+});
+
+describe('gitlab', () => {
+    let fixture;
+    const base = `/projects/${encodeURIComponent('g/sub/p')}`;
+    before(async () => {
+        fixture = await serve({
+            [base]: { body: { star_count: 3, archived: false } },
+            [`${base}/repository/commits?per_page=1`]: { body: [{ committed_date: '2025-01-02T00:00:00Z' }] },
+            [`${base}/releases?per_page=1`]: { body: [{ tag_name: 'v1.0', name: 'First', released_at: '2025-01-01T12:00:00Z', _links: { self: 'https://gitlab.com/g/sub/p/-/releases/v1.0' } }] },
+            [`${base}/repository/contributors?per_page=100&page=1`]: { body: Array(100).fill({}) },
+            [`${base}/repository/contributors?per_page=100&page=2`]: { body: Array(30).fill({}) },
+            '/projects/g%2Fempty': { body: { star_count: 0, archived: false } },
+            '/projects/g%2Fempty/releases?per_page=1': { body: [] },
+            '/projects/g%2Fnoreleases': { body: { star_count: 1, archived: false } },
+            '/projects/g%2Fnoreleases/repository/commits?per_page=1': { body: [{ committed_date: '2025-03-04T00:00:00Z' }] },
+            '/projects/g%2Fnoreleases/repository/contributors?per_page=100&page=1': { body: [{}] },
+            '/projects/g%2Fnoreleases/releases?per_page=1': { status: 403, body: { message: '403 Forbidden' } }
+        });
+    });
+    after(() => fixture.close());
+
+    test('matches projects in subgroups', () => {
+        assert.deepEqual(createGitLabAdapter().match(new URL('https://gitlab.com/g/sub/p')), { host: 'gitlab.com', path: 'g/sub/p' });
+    });
+
+    test('counts contributors across pages and reads the latest release', async () => {
+        const stats = await collect(createGitLabAdapter({ apiUrl: fixture.url }), 'https://gitlab.com/g/sub/p');
+        assert.deepEqual(stats, {
+            lastCommit: '2025-01-02',
+            contributors: 130,
+            stars: 3,
+            archived: false,
+            release: { name: 'First', tag: 'v1.0', date: '2025-01-01', url: 'https://gitlab.com/g/sub/p/-/releases/v1.0' }
+        });
+    });
+
+    test('reads an empty repository without releases (404 and an empty list)', async () => {
+        const stats = await collect(createGitLabAdapter({ apiUrl: fixture.url }), 'https://gitlab.com/g/empty');
+        assert.deepEqual(stats, { lastCommit: null, contributors: 0, stars: 0, archived: false, release: null });
+    });
+
+    test('reads a project whose releases are turned off (403)', async () => {
+        const stats = await collect(createGitLabAdapter({ apiUrl: fixture.url }), 'https://gitlab.com/g/noreleases');
+        assert.deepEqual(stats, { lastCommit: '2025-03-04', contributors: 1, stars: 1, archived: false, release: null });
+    });
+});
+
+describe('gitea', () => {
+    let fixture;
+    const commits = (repo, page) => `/repos/o/${repo}/commits?stat=false&verification=false&files=false&limit=50&page=${page}`;
+    const commit = (login, email, date) => ({ author: login ? { login } : null, commit: { committer: { date }, author: { email } } });
+    before(async () => {
+        fixture = await serve({
+            '/repos/o/r': { body: { stars_count: 5, archived: false } },
+            [commits('r', 1)]: {
+                body: [
+                    commit('a', 'a@example.org', '2026-01-01T00:00:00Z'),
+                    ...Array(48).fill(commit('b', 'b@example.org', '2025-06-01T00:00:00Z')),
+                    commit(null, 'C@example.org', '2025-01-01T00:00:00Z')
+                ]
+            },
+            [commits('r', 2)]: { body: [commit(null, 'c@example.org', '2024-01-01T00:00:00Z')] },
+            '/repos/o/r/releases/latest': { body: { tag_name: 'v3', name: 'Three', published_at: '2025-12-01T00:00:00Z', html_url: 'https://codeberg.org/o/r/releases/tag/v3' } },
+            '/repos/o/empty': { body: { stars_count: 1, archived: true } },
+            [commits('empty', 1)]: { status: 409, body: { message: 'Git Repository is empty.' } }
+        });
+    });
+    after(() => fixture.close());
+
+    test('counts distinct commit authors across pages and reads the latest release', async () => {
+        const stats = await collect(createGiteaAdapter({ apiUrl: fixture.url }), 'https://codeberg.org/o/r');
+        assert.deepEqual(stats, {
+            lastCommit: '2026-01-01',
+            contributors: 3,
+            stars: 5,
+            archived: false,
+            release: { name: 'Three', tag: 'v3', date: '2025-12-01', url: 'https://codeberg.org/o/r/releases/tag/v3' }
+        });
+    });
+
+    test('reads an empty repository without releases (409 and 404)', async () => {
+        const stats = await collect(createGiteaAdapter({ apiUrl: fixture.url }), 'https://codeberg.org/o/empty');
+        assert.deepEqual(stats, { lastCommit: null, contributors: 0, stars: 1, archived: true, release: null });
+    });
+});
+
+describe('git', () => {
+    let dir;
+    const git = (cwd, args, date = '2026-03-04T12:00:00Z') => execFileSync('git', args, {
+        cwd,
+        env: {
+            ...process.env,
+            GIT_CONFIG_GLOBAL: '/dev/null',
+            GIT_CONFIG_NOSYSTEM: '1',
+            GIT_AUTHOR_DATE: date,
+            GIT_COMMITTER_DATE: date,
+            GIT_COMMITTER_NAME: 'Fixture',
+            GIT_COMMITTER_EMAIL: 'fixture@example.org'
+        }
+    });
+    const commit = (cwd, email, date) => git(cwd, ['-c', 'user.name=Fixture', '-c', `user.email=${email}`, 'commit', '--quiet', '--allow-empty', '-m', date], date);
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'librelinker-test-'));
+        git(dir, ['init', '--quiet', '--bare', 'empty.git']);
+        const work = path.join(dir, 'work');
+        git(dir, ['init', '--quiet', work]);
+        commit(work, 'a@example.org', '2025-01-01T00:00:00Z');
+        git(work, ['tag', '-a', '-m', 'v0.1', 'v0.1'], '2025-01-02T00:00:00Z');
+        commit(work, 'B@example.org', '2025-05-01T00:00:00Z');
+        commit(work, 'b@example.org', '2026-03-04T23:30:00-05:00');
+        git(dir, ['clone', '--quiet', '--bare', work, 'repo.git']);
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const fileUrl = name => new URL(`file://${path.join(dir, name)}`).href;
+
+    test('matches any repository, but a website only if it ends in .git', () => {
+        const adapter = createGitAdapter();
+        assert.deepEqual(adapter.match(new URL('ssh://git@example.org/r.git'), { explicit: true }), { url: 'ssh://git@example.org/r.git' });
+        assert.deepEqual(adapter.match(new URL('https://example.org/r'), { explicit: true }), { url: 'https://example.org/r' });
+        assert.equal(adapter.match(new URL('https://example.org/r')), null);
+        assert.deepEqual(adapter.match(new URL('https://example.org/r.git')), { url: 'https://example.org/r.git' });
+        assert.equal(adapter.match(new URL('mailto:someone@example.org'), { explicit: true }), null);
+    });
+
+    test('reads the history and latest tag of a repository', async () => {
+        const stats = await createGitAdapter({ tmpDir: dir }).collect({ url: fileUrl('repo.git') });
+        assert.deepEqual(stats, {
+            lastCommit: '2026-03-05',
+            contributors: 2,
+            stars: null,
+            archived: null,
+            release: { name: 'v0.1', tag: 'v0.1', date: '2025-01-02', url: null }
+        });
+    });
+
+    test('reads an empty repository', async () => {
+        const stats = await createGitAdapter({ tmpDir: dir }).collect({ url: fileUrl('empty.git') });
+        assert.deepEqual(stats, { lastCommit: null, contributors: 0, stars: null, archived: null, release: null });
+    });
+
+    test('fails on a repository that does not exist, and cleans up', async () => {
+        await assert.rejects(createGitAdapter({ tmpDir: dir }).collect({ url: fileUrl('missing.git') }));
+        assert.deepEqual(fs.readdirSync(dir).filter(name => name.startsWith('librelinker-enrich-')), []);
+    });
+});
+
+test('createForgeAdapters tries the forges before plain git', () => {
+    const adapters = createForgeAdapters({ hosts: { gitlab: ['gitlab.example.edu'] } });
+    assert.deepEqual(adapters.map(adapter => adapter.name), ['github', 'gitlab', 'gitea', 'git']);
+    const url = new URL('https://gitlab.example.edu/g/p');
+    assert.equal(adapters.find(adapter => adapter.match(url, { explicit: true })).name, 'gitlab');
+});
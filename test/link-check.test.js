@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Link and asset checks (src/link-check.js, scripts/check-links.mjs) against a
+// local stub server.
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, before, describe, test } from 'node:test';
+import { buildReport, checkLinks, checkUrl, collectAssets, collectLinks, hasFailures } from '../src/link-check.js';
+import { listen } from './fixtures.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const project = {
+    name: 'Example',
+    types: ['research'],
+    technologies: [],
+    yearStarted: 2020,
+    status: 'Active',
+    license: 'GPL-3.0-or-later',
+    logo: 'misc/logos/example.png',
+    url: 'https://example.org/',
+    repository: 'https://git.example.org/example'
+};
+
+describe('checkUrl', () => {
+    let server;
+    // Requests per path, for the routes that answer differently each time
+    const hits = {};
+    const sleeps = [];
+    const options = { retries: 2, retryDelayMs: 100, sleep: async ms => { sleeps.push(ms); } };
+
+    before(async () => {
+        server = await listen((request, response) => {
+            const { pathname } = new URL(request.url, 'http://localhost');
+            hits[pathname] = (hits[pathname] || 0) + 1;
+            const reply = (status, headers = {}) => { response.writeHead(status, headers); response.end(); };
+            switch (pathname) {
+            case '/ok': return reply(200);
+            case '/moved': return reply(301, { Location: '/ok' });
+            case '/temporary': return reply(302, { Location: '/ok' });
+            case '/loop': return reply(302, { Location: '/loop' });
+            case '/flaky': return reply(hits[pathname] === 1 ? 503 : 200);
+            case '/busy': return reply(503);
+            case '/no-head': return reply(request.method === 'HEAD' ? 405 : 200);
+            case '/stall': return undefined;
+            default: return reply(404);
+            }
+        });
+    });
+    after(() => server.close());
+
+    test('a link that answers is ok', async () => {
+        const result = await checkUrl(`${server.url}/ok`, options);
+        assert.equal(result.result, 'ok');
+        assert.equal(result.status, 200);
+        assert.equal(result.attempts, 1);
+    });
+
+    test('a permanent redirect is moved, with the hop recorded', async () => {
+        const result = await checkUrl(`${server.url}/moved`, options);
+        assert.equal(result.result, 'moved');
+        assert.equal(result.finalUrl, `${server.url}/ok`);
+        assert.deepEqual(result.redirects, [{ status: 301, location: `${server.url}/ok` }]);
+    });
+
+    test('a temporary redirect is ok', async () => {
+        assert.equal((await checkUrl(`${server.url}/temporary`, options)).result, 'ok');
+    });
+
+    test('a redirect loop is broken', async () => {
+        const result = await checkUrl(`${server.url}/loop`, { ...options, maxRedirects: 3 });
+        assert.equal(result.result, 'broken');
+        assert.equal(result.error, 'more than 3 redirects');
+        assert.equal(result.redirects.length, 3);
+    });
+
+    test('a busy server is retried with backoff', async () => {
+        sleeps.length = 0;
+        const flaky = await checkUrl(`${server.url}/flaky`, options);
+        assert.equal(flaky.result, 'ok');
+        assert.equal(flaky.attempts, 2);
+        assert.deepEqual(sleeps, [100]);
+
+        sleeps.length = 0;
+        const busy = await checkUrl(`${server.url}/busy`, options);
+        assert.equal(busy.result, 'broken');
+        assert.equal(busy.status, 503);
+        assert.equal(busy.attempts, 3);
+        assert.deepEqual(sleeps, [100, 200]);
+    });
+
+    test('a server that refuses HEAD is asked with GET', async () => {
+        const result = await checkUrl(`${server.url}/no-head`, options);
+        assert.equal(result.result, 'ok');
+        assert.equal(result.attempts, 1);
+    });
+
+    test('a server that never answers times out', async () => {
+        const result = await checkUrl(`${server.url}/stall`, { ...options, timeoutMs: 100, retries: 1 });
+        assert.equal(result.result, 'broken');
+        assert.equal(result.error, 'timed out after 100 ms');
+        assert.equal(result.attempts, 2);
+    });
+
+    test('an error status is broken without retries', async () => {
+        const result = await checkUrl(`${server.url}/missing`, options);
+        assert.equal(result.result, 'broken');
+        assert.equal(result.status, 404);
+        assert.equal(result.error, 'HTTP 404');
+        assert.equal(result.attempts, 1);
+    });
+
+    test('checkLinks keeps what refers to each link', async () => {
+        const links = [
+            { url: `${server.url}/ok`, referencedBy: ['a'] },
+            { url: `${server.url}/missing`, referencedBy: ['b', 'c'] }
+        ];
+        const seen = [];
+        const results = await checkLinks(links, { ...options, concurrency: 2, onResult: result => seen.push(result.url) });
+        assert.deepEqual(results.map(result => [result.url, result.result, result.referencedBy]), [
+            [`${server.url}/ok`, 'ok', ['a']],
+            [`${server.url}/missing`, 'broken', ['b', 'c']]
+        ]);
+        assert.deepEqual(seen.sort(), links.map(link => link.url).sort());
+    });
+});
+
+test('collectAssets lists each logo and misc/ path once, with what uses it', () => {
+    const assets = collectAssets(
+        [project, { ...project, name: 'Other' }, { ...project, name: 'No logo', logo: null }],
+        { 'index.html': '<link rel="icon" href="/misc/img/icon.png"><img src="misc/img/icon.png">' }
+    );
+    assert.deepEqual(assets, [
+        { path: 'misc/logos/example.png', referencedBy: ['projects.json "Example" logo', 'projects.json "Other" logo'] },
+        { path: 'misc/img/icon.png', referencedBy: ['index.html'] }
+    ]);
+});
+
+test('collectLinks lists each web link once, with what uses it', () => {
+    const links = collectLinks([
+        { ...project, forge: { release: { url: 'https://git.example.org/example/releases/v1' } } },
+        { ...project, name: 'Mirror', url: 'https://mirror.example.org/', repository: 'ssh://git@example.org/example.git' }
+    ]);
+    assert.deepEqual(links, [
+        { url: 'https://example.org/', referencedBy: ['"Example" url'] },
+        { url: 'https://git.example.org/example', referencedBy: ['"Example" repository'] },
+        { url: 'https://git.example.org/example/releases/v1', referencedBy: ['"Example" release'] },
+        { url: 'https://directory.fsf.org/wiki/License:GPL-3.0-or-later', referencedBy: ['"Example" license GPL-3.0-or-later', '"Mirror" license GPL-3.0-or-later'] },
+        { url: 'https://mirror.example.org/', referencedBy: ['"Mirror" url'] }
+    ]);
+});
+
+test('only missing assets and broken links are failures', () => {
+    const report = (assets, links) => buildReport({ assets, links, now: new Date('2026-01-01T00:00:00Z') });
+    assert.equal(hasFailures(report([{ path: 'a', ok: true }], null)), false);
+    assert.equal(hasFailures(report([{ path: 'a', ok: false }], null)), true);
+    assert.equal(hasFailures(report([], [{ result: 'ok' }, { result: 'moved' }])), false);
+    assert.equal(hasFailures(report([], [{ result: 'moved' }, { result: 'broken' }])), true);
+});
+
+test('check-links exits with status 1 on a missing asset', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'librelinker-test-'));
+    try {
+        const run = (projects) => {
+            fs.writeFileSync(path.join(dir, 'projects.json'), JSON.stringify(projects));
+            return spawnSync(process.execPath, [
+                path.join(root, 'scripts/check-links.mjs'), '--offline',
+                '--projects', path.join(dir, 'projects.json'), '--report', path.join(dir, 'report.json')
+            ], { encoding: 'utf8' });
+        };
+        const passing = run([{ ...project, logo: null }]);
+        assert.equal(passing.status, 0, passing.stderr);
+
+        const failing = run([project]);
+        assert.equal(failing.status, 1, failing.stderr);
+        assert.match(failing.stdout, /MISSING misc\/logos\/example\.png/);
+        assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8')).summary.assets.missing, 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// The projects.json schema (src/project-schema.js).
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { getLicenseFamily } from '../src/licenses.js';
+import { validateProjects } from '../src/project-schema.js';
+
+const project = {
+    name: 'Example',
+    description: 'An example project',
+    types: ['research'],
+    technologies: ['C'],
+    license: 'MIT',
+    yearStarted: 2020,
+    status: 'Active',
+    logo: null,
+    url: 'https://example.org/',
+    ltcSupported: false
+};
+
+const errorsFor = license => validateProjects([{ ...project, license }]);
+
+test('accepts known licenses and exceptions', () => {
+    assert.deepEqual(errorsFor('GPL-3.0-or-later WITH Classpath-exception-2.0'), []);
+    assert.deepEqual(errorsFor(['0BSD', 'GPL-2.0-only WITH Linux-syscall-note']), []);
+});
+
+test('rejects unknown licenses and exceptions', () => {
+    assert.deepEqual(errorsFor('Made-Up-1.0'), [
+        'projects.json[0] "Example": "license": unknown license "Made-Up-1.0" (add it to LICENSES in src/licenses.js with its family)'
+    ]);
+    assert.deepEqual(errorsFor('GPL-3.0 WITH Classpath-exeption-2.0'), [
+        'projects.json[0] "Example": "license": unknown exception "Classpath-exeption-2.0" (add it to EXCEPTIONS in src/licenses.js)'
+    ]);
+});
+
+test('only linking exceptions weaken a strong copyleft license', () => {
+    assert.equal(getLicenseFamily('GPL-3.0-or-later', 'Classpath-exception-2.0'), 'weak-copyleft');
+    assert.equal(getLicenseFamily('GPL-3.0-or-later', 'Autoconf-exception-3.0'), 'strong-copyleft');
+    assert.equal(getLicenseFamily('0BSD'), 'permissive');
+});
@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Status derivation (deriveStatus in src/statuses.js) and the thresholds
+// configured in lifecycle.json.
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { test } from 'node:test';
+import { buildApi } from '../src/api.js';
+import { prepareProject } from '../src/catalog.js';
+import { buildFeedEntries } from '../src/feed.js';
+import { LIFECYCLE_THRESHOLDS, deriveStatus, lifecycleThresholds } from '../src/statuses.js';
+
+const now = new Date('2026-06-15T00:00:00Z');
+const derive = (project, options) => deriveStatus({ yearStarted: 2020, ...project }, { now, ...options });
+
+test('applies the rules in order', () => {
+    assert.equal(derive({ lastActivity: '2026-01-01', forge: { archived: true } }).rule, 'archived');
+    assert.equal(derive({ lastActivity: '2024-12-15' }).rule, 'dormant');
+    assert.equal(derive({ lastActivity: '2025-12-15' }).rule, 'maintenance');
+    assert.equal(derive({ lastActivity: '2025-12-16', yearStarted: 2025 }).rule, 'incubating');
+    assert.equal(derive({ lastActivity: '2025-12-16' }).rule, 'active');
+    assert.equal(derive({}), null);
+});
+
+test('goes by the later of lastActivity and the last commit', () => {
+    const derived = derive({ lastActivity: '2024-01-01', forge: { lastCommit: '2026-05-01' } });
+    assert.equal(derived.lastActivity, '2026-05-01');
+    assert.equal(derived.months, 1);
+});
+
+test('returns the date and thresholds it applied', () => {
+    const thresholds = { maintenanceMonths: 1, dormantMonths: 2, incubatingYears: 0 };
+    assert.deepEqual(derive({ lastActivity: '2026-05-01' }, { thresholds }), {
+        key: 'Maintenance', rule: 'maintenance', lastActivity: '2026-05-01', months: 1, now, thresholds
+    });
+    assert.equal(derive({ lastActivity: '2026-05-01' }).thresholds, LIFECYCLE_THRESHOLDS);
+});
+
+test('reads thresholds over the defaults, and rejects bad ones', () => {
+    assert.deepEqual(lifecycleThresholds({ dormantMonths: 24 }), { ...LIFECYCLE_THRESHOLDS, dormantMonths: 24 });
+    assert.deepEqual(lifecycleThresholds(JSON.parse(fs.readFileSync(new URL('../lifecycle.json', import.meta.url), 'utf8'))), LIFECYCLE_THRESHOLDS);
+    assert.throws(() => lifecycleThresholds({ dormantMonth: 24 }), /unknown threshold "dormantMonth"/);
+    assert.throws(() => lifecycleThresholds({ maintenanceMonths: '6' }), /"maintenanceMonths" must be a whole number/);
+    assert.throws(() => lifecycleThresholds({ maintenanceMonths: 18 }), /"dormantMonths" must be more than "maintenanceMonths"/);
+});
+
+test('configured thresholds change the status every caller derives', () => {
+    const project = {
+        name: 'Example',
+        description: 'An example project',
+        types: ['research'],
+        technologies: ['C'],
+        license: 'MIT',
+        yearStarted: 2020,
+        url: 'https://example.org/',
+        lastActivity: new Date(Date.now() - 100 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+        ltcSupported: false,
+        dateAdded: '2025-01-01'
+    };
+    const thresholds = lifecycleThresholds({ maintenanceMonths: 1, dormantMonths: 3 });
+
+    assert.equal(prepareProject({ ...project }).status, 'Active');
+    assert.equal(prepareProject({ ...project }, { thresholds }).status, 'Dormant');
+
+    const api = buildApi([project], { siteUrl: 'https://example.org/', thresholds });
+    assert.equal(api.get('api/v1/projects/example.json').project.status, 'Dormant');
+
+    assert.equal(buildFeedEntries([project], new Map(), { thresholds })[0].status, 'Dormant');
+});
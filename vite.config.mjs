@@ -1,10 +1,22 @@
-import { defineConfig } from 'vite';
+import { execFileSync } from 'node:child_process';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import sharp from 'sharp';
+import { build, defineConfig } from 'vite';
 import { viteStaticCopy } from 'vite-plugin-static-copy';
+import { buildApi } from './src/api.js';
+import { ENRICHMENT_FILE, mergeEnrichment } from './src/enrichment.js';
+import { buildFeedEntries, projectDatesFromHistory, toAtom, toRss } from './src/feed.js';
+import { LOGO_BUDGET_BYTES, LOGO_WIDTHS, getLogoVariantPath } from './src/logos.js';
+import { validateProjects } from './src/project-schema.js';
+import { LIFECYCLE_FILE, lifecycleThresholds } from './src/statuses.js';
+
+const licenseText = `/* @license magnet:?xt=urn:btih:1f739d935676111cfff4b4693e3816e664797050&dn=gpl-3.0.txt GPL-3.0-or-later */\n`;
+const licenseEndText = `\n/* @license-end */\n`;
 
 // Simple Vite plugin to prepend LibreJS license magnet link to all emitted JavaScript.
 const libreJsPlugin = () => {
-  const licenseText = `/* @license magnet:?xt=urn:btih:1f739d935676111cfff4b4693e3816e664797050&dn=gpl-3.0.txt GPL-3.0-or-later */\n`;
-  const licenseEndText = `\n/* @license-end */\n`;
   let isBuild = false;
 
   return {
@@ -41,6 +53,451 @@ const libreJsPlugin = () => {
   };
 };
 
+// Validate projects.json against src/project-schema.js. Fails the build on any
+// error; in dev the problems are only logged so the server keeps running.
+const projectsSchemaPlugin = () => {
+  let isBuild = false;
+  let root = process.cwd();
+
+  const validate = () => {
+    const file = path.resolve(root, 'projects.json');
+    let projects;
+    try {
+      projects = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return [`projects.json could not be parsed: ${error.message}`];
+    }
+    return validateProjects(projects, {
+      logoExists: (logo) => fs.existsSync(path.resolve(root, logo))
+    });
+  };
+
+  const format = (errors) =>
+    `projects.json failed schema validation (${errors.length} error${errors.length === 1 ? '' : 's'}):\n` +
+    errors.map((e) => `  - ${e}`).join('\n');
+
+  return {
+    name: 'projects-schema-plugin',
+    configResolved(config) {
+      isBuild = config.command === 'build';
+      root = config.root;
+    },
+    buildStart() {
+      this.addWatchFile(path.resolve(root, 'projects.json'));
+      const errors = validate();
+      if (errors.length === 0) return;
+      if (isBuild) {
+        this.error(format(errors));
+      } else {
+        this.warn(format(errors));
+      }
+    },
+    // Re-check on save while the dev server is running
+    handleHotUpdate({ file, server }) {
+      if (path.resolve(file) !== path.resolve(root, 'projects.json')) return;
+      const errors = validate();
+      if (errors.length > 0) {
+        server.config.logger.warn(format(errors), { timestamp: true });
+      }
+    }
+  };
+};
+
+// Atom (feed.xml) and RSS (rss.xml) feeds of added and updated projects; see
+// src/feed.js. Dates not set in projects.json come from its git history, so
+// CI needs the full history (fetch-depth: 0) for them to be right.
+const feedPlugin = () => {
+  let root = process.cwd();
+  let logger = console;
+
+  const git = (args) => execFileSync('git', args, { cwd: root, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+
+  // Every committed version of projects.json, oldest first
+  const readHistory = () => {
+    try {
+      if (git(['rev-parse', '--is-shallow-repository']).trim() === 'true') {
+        logger.warn('feed: shallow git clone, so projects without dateAdded/dateUpdated may be misdated');
+      }
+      return git(['log', '--reverse', '--format=%H %cI', '--', 'projects.json'])
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => {
+          const [hash, date] = line.split(' ');
+          try {
+            return { date, projects: JSON.parse(git(['show', `${hash}:./projects.json`])) };
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (error) {
+      logger.warn(`feed: could not read the git history of projects.json (${error.message.split('\n')[0]})`);
+      return [];
+    }
+  };
+
+  const buildFeeds = () => {
+    const siteUrl = `https://${fs.readFileSync(path.resolve(root, 'CNAME'), 'utf8').trim()}/`;
+    // With enrichment.json merged in, for the last commit behind derived statuses
+    const entries = buildFeedEntries(readCatalog(root), projectDatesFromHistory(readHistory()), { thresholds: readLifecycle(root) });
+    const feed = {
+      siteUrl,
+      title: 'LibreLinker: new and updated projects',
+      subtitle: 'Free & open-source projects from Georgia Tech looking for contributors'
+    };
+    return {
+      'feed.xml': toAtom(entries, { ...feed, feedUrl: `${siteUrl}feed.xml` }),
+      'rss.xml': toRss(entries, { ...feed, feedUrl: `${siteUrl}rss.xml` })
+    };
+  };
+
+  const CONTENT_TYPES = { 'feed.xml': 'application/atom+xml', 'rss.xml': 'application/rss+xml' };
+
+  return {
+    name: 'feed-plugin',
+    configResolved(config) {
+      root = config.root;
+      logger = config.logger;
+    },
+    generateBundle() {
+      for (const [fileName, source] of Object.entries(buildFeeds())) {
+        this.emitFile({ type: 'asset', fileName, source });
+      }
+    },
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const fileName = req.url?.split('?')[0].replace(/^\//, '');
+        if (!CONTENT_TYPES[fileName]) return next();
+        res.setHeader('Content-Type', `${CONTENT_TYPES[fileName]}; charset=utf-8`);
+        res.end(buildFeeds()[fileName]);
+      });
+    }
+  };
+};
+
+// projects.json with the repository metadata cached in enrichment.json merged
+// in (see src/enrichment.js). A missing cache is the same as an empty one.
+const readCatalog = (root) => {
+  const projects = JSON.parse(fs.readFileSync(path.resolve(root, 'projects.json'), 'utf8'));
+  const cacheFile = path.resolve(root, ENRICHMENT_FILE);
+  const cache = fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, 'utf8')) : null;
+  return mergeEnrichment(projects, cache);
+};
+
+// Status derivation thresholds (see lifecycleThresholds in src/statuses.js).
+// The site and the embed import the same file, so they derive the same statuses.
+const readLifecycle = (root) =>
+  lifecycleThresholds(JSON.parse(fs.readFileSync(path.resolve(root, LIFECYCLE_FILE), 'utf8')));
+
+// The projects.json the site loads: the maintained file plus enrichment.json.
+// Refreshing the cache is a separate command (`pnpm run enrich`), so the
+// build never depends on a forge being reachable.
+const enrichmentPlugin = () => {
+  let root = process.cwd();
+
+  const serialize = () => `${JSON.stringify(readCatalog(root), null, 4)}\n`;
+
+  return {
+    name: 'enrichment-plugin',
+    configResolved(config) {
+      root = config.root;
+    },
+    buildStart() {
+      this.addWatchFile(path.resolve(root, ENRICHMENT_FILE));
+    },
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName: 'projects.json', source: serialize() });
+    },
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        if (req.url?.split('?')[0] !== '/projects.json') return next();
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(serialize());
+      });
+    }
+  };
+};
+
+// Static read-only JSON API under api/v1/ (see src/api.js and the README).
+// Every document is regenerated from projects.json on each build.
+const apiPlugin = () => {
+  let root = process.cwd();
+
+  const buildFiles = () => {
+    const siteUrl = `https://${fs.readFileSync(path.resolve(root, 'CNAME'), 'utf8').trim()}/`;
+    return buildApi(readCatalog(root), { siteUrl, thresholds: readLifecycle(root) });
+  };
+
+  // Avatars are SVG source already; everything else is a JSON document
+  const serialize = (document) => typeof document === 'string' ? document : `${JSON.stringify(document, null, 2)}\n`;
+
+  return {
+    name: 'api-plugin',
+    configResolved(config) {
+      root = config.root;
+    },
+    generateBundle() {
+      for (const [fileName, document] of buildFiles()) {
+        this.emitFile({ type: 'asset', fileName, source: serialize(document) });
+      }
+    },
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        let fileName;
+        try {
+          fileName = decodeURIComponent(req.url?.split('?')[0] || '').replace(/^\//, '');
+        } catch {
+          // Malformed escapes (e.g. "/api/%") can't name an API file
+          return next();
+        }
+        if (!fileName.startsWith('api/')) return next();
+        const document = buildFiles().get(fileName);
+        if (!document) return next();
+        res.setHeader('Content-Type', fileName.endsWith('.svg') ? 'image/svg+xml' : 'application/json; charset=utf-8');
+        res.end(serialize(document));
+      });
+    }
+  };
+};
+
+// Resized WebP variants of every logo in projects.json (see src/logos.js).
+// Each variant is encoded at decreasing quality until it fits the size budget,
+// and the build fails if one still doesn't. The dev server resizes on request.
+const LOGO_QUALITIES = [80, 65, 50];
+
+const logoPlugin = () => {
+  let root = process.cwd();
+  let logger = console;
+
+  // Variant path -> { logo, width }
+  const readVariants = () => {
+    const projects = JSON.parse(fs.readFileSync(path.resolve(root, 'projects.json'), 'utf8'));
+    const variants = new Map();
+    for (const logo of new Set(projects.map((project) => project.logo).filter(Boolean))) {
+      for (const width of LOGO_WIDTHS) {
+        const variant = getLogoVariantPath(logo, width);
+        if (variants.has(variant) && variants.get(variant).logo !== logo) {
+          throw new Error(`logos: ${logo} and ${variants.get(variant).logo} would both be resized into ${variant}; rename one`);
+        }
+        variants.set(variant, { logo, width });
+      }
+    }
+    return variants;
+  };
+
+  const encode = async ({ logo, width }) => {
+    let buffer;
+    for (const quality of LOGO_QUALITIES) {
+      buffer = await sharp(path.resolve(root, logo))
+        .resize(width, width, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality })
+        .toBuffer();
+      if (buffer.length <= LOGO_BUDGET_BYTES) break;
+    }
+    return buffer;
+  };
+
+  return {
+    name: 'logo-plugin',
+    configResolved(config) {
+      root = config.root;
+      logger = config.logger;
+    },
+    async generateBundle() {
+      const overBudget = [];
+      let originalBytes = 0;
+      let variantBytes = 0;
+      const variants = readVariants();
+      for (const [fileName, variant] of variants) {
+        const source = await encode(variant);
+        if (source.length > LOGO_BUDGET_BYTES) {
+          overBudget.push(`  - ${fileName} (from ${variant.logo}): ${(source.length / 1024).toFixed(1)} kB`);
+        }
+        variantBytes += source.length;
+        this.emitFile({ type: 'asset', fileName, source });
+      }
+      for (const logo of new Set([...variants.values()].map((variant) => variant.logo))) {
+        originalBytes += fs.statSync(path.resolve(root, logo)).size;
+      }
+      if (overBudget.length > 0) {
+        this.error(`logos over the ${LOGO_BUDGET_BYTES / 1024} kB budget even at the lowest quality:\n${overBudget.join('\n')}`);
+      }
+      logger.info(`logos: ${variants.size} variants, ${(variantBytes / 1024).toFixed(0)} kB (originals ${(originalBytes / 1024).toFixed(0)} kB)`);
+    },
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        let fileName;
+        try {
+          fileName = decodeURIComponent(req.url?.split('?')[0] || '').replace(/^\//, '');
+        } catch {
+          // Malformed escapes (e.g. "/logos/%") can't name a variant
+          return next();
+        }
+        if (!fileName.startsWith('logos/')) return next();
+        try {
+          const variant = readVariants().get(fileName);
+          if (!variant) return next();
+          res.setHeader('Content-Type', 'image/webp');
+          res.end(await encode(variant));
+        } catch (error) {
+          next(error);
+        }
+      });
+    }
+  };
+};
+
+// The service worker (src/service-worker.js), emitted as service-worker.js at
+// the site root so its scope covers the whole site. It precaches the built app
+// shell, including the resized logos from logoPlugin, plus the files below; the
+// cache is named after a hash of their contents, so each deploy that changes
+// any of them replaces it.
+const PRECACHED_FILES = [
+  'projects.json',
+  'offline.html',
+  'manifest.webmanifest',
+  'misc/img/icon.svg',
+  'misc/img/icon-192.png',
+  'misc/img/icon-512.png',
+  // Used by the About dialog, which app.js renders
+  'misc/img/us-flag.svg'
+];
+
+const serviceWorkerPlugin = () => {
+  let root = process.cwd();
+
+  // Feeds, the JSON API and the bundled copy of projects.json aren't needed offline
+  const isAppShell = (fileName) => !fileName.startsWith('api/') && !/\.(json|xml|webmanifest)$/.test(fileName);
+
+  return {
+    name: 'service-worker-plugin',
+    apply: 'build',
+    // After Vite has added index.html, and logoPlugin the logos, to the bundle
+    enforce: 'post',
+    configResolved(config) {
+      root = config.root;
+    },
+    generateBundle(options, bundle) {
+      const files = new Map();
+      for (const [fileName, output] of Object.entries(bundle)) {
+        if (isAppShell(fileName)) files.set(fileName, output.type === 'chunk' ? output.code : output.source);
+      }
+      // Emitted files (projects.json, merged with enrichment.json) as built, the rest from disk
+      for (const fileName of PRECACHED_FILES) {
+        files.set(fileName, bundle[fileName]?.source ?? fs.readFileSync(path.resolve(root, fileName)));
+      }
+
+      const hash = crypto.createHash('sha256');
+      for (const [fileName, content] of [...files].sort(([a], [b]) => a.localeCompare(b))) {
+        hash.update(fileName).update(content);
+      }
+      // index.html is cached as the directory, which is how the site is visited
+      const urls = [...files.keys()].map((fileName) => (fileName === 'index.html' ? './' : fileName));
+
+      const source = fs.readFileSync(path.resolve(root, 'src/service-worker.js'), 'utf8')
+        .replace('__CACHE_VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+        .replace('__PRECACHE_URLS__', JSON.stringify(urls, null, 2));
+      this.emitFile({ type: 'asset', fileName: 'service-worker.js', source: licenseText + source + licenseEndText });
+    }
+  };
+};
+
+// Content-Security-Policy for the built pages. Scripts and styles are limited to
+// our own origin, the third-party scripts loaded in index.html, and the sha256
+// hashes of whatever inline <script>/<style> blocks are left in each page, so
+// neither needs 'unsafe-inline'. Build only: the dev server injects inline
+// scripts of its own.
+const CSP_DIRECTIVES = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'", 'https://scripts.simpleanalyticscdn.com', 'https://cdn.jsdelivr.net', 'https://static.cloudflareinsights.com'],
+  'style-src': ["'self'"],
+  'img-src': ["'self'", 'data:', 'https://queue.simpleanalyticscdn.com'],
+  'connect-src': ["'self'", 'https://queue.simpleanalyticscdn.com', 'https://api.emailjs.com', 'https://cloudflareinsights.com'],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"]
+};
+
+const INLINE_BLOCK_PATTERN = {
+  'script-src': /<script(?![^>]*\ssrc=)[^>]*>([\s\S]*?)<\/script>/gi,
+  'style-src': /<style[^>]*>([\s\S]*?)<\/style>/gi
+};
+
+const cspPlugin = ({ pages = [] } = {}) => {
+  let outDir = 'dist';
+
+  const hash = (content) => `'sha256-${crypto.createHash('sha256').update(content, 'utf8').digest('base64')}'`;
+
+  const buildPolicy = (html) => Object.entries(CSP_DIRECTIVES)
+    .map(([directive, sources]) => {
+      const hashes = INLINE_BLOCK_PATTERN[directive]
+        ? [...html.matchAll(INLINE_BLOCK_PATTERN[directive])].map((match) => hash(match[1]))
+        : [];
+      return [directive, ...sources, ...new Set(hashes)].join(' ');
+    })
+    .join('; ');
+
+  // The policy only covers what follows it, so it goes right after <meta charset>
+  const addMetaTag = (html) => {
+    const tag = `<meta http-equiv="Content-Security-Policy" content="${buildPolicy(html)}">`;
+    return html.replace(/(<meta charset=[^>]*>)/i, `$1\n    ${tag}`);
+  };
+
+  return {
+    name: 'csp-plugin',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir);
+    },
+    transformIndexHtml: {
+      order: 'post',
+      handler: addMetaTag
+    },
+    // Pages copied as-is (see viteStaticCopy below) get the same treatment
+    closeBundle() {
+      for (const page of pages) {
+        const file = path.join(outDir, page);
+        if (fs.existsSync(file)) {
+          fs.writeFileSync(file, addMetaTag(fs.readFileSync(file, 'utf8')));
+        }
+      }
+    }
+  };
+};
+
+// Build the embeddable <librelinker-catalog> element (src/catalog-element.js)
+// on its own into librelinker-catalog.js: a single module with its styles
+// inlined that other sites load directly, so the name has no hash.
+const embedPlugin = () => {
+  let config;
+
+  return {
+    name: 'embed-plugin',
+    apply: 'build',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+    async closeBundle() {
+      await build({
+        configFile: false,
+        root: config.root,
+        logLevel: 'warn',
+        plugins: [libreJsPlugin()],
+        build: {
+          outDir: config.build.outDir,
+          emptyOutDir: false,
+          copyPublicDir: false,
+          lib: {
+            entry: path.resolve(config.root, 'src/catalog-element.js'),
+            formats: ['es'],
+            fileName: () => 'librelinker-catalog.js'
+          }
+        }
+      });
+    }
+  };
+};
+
 const isGitHubPages = process.env.GITHUB_PAGES === 'true';
 // Relative base avoids broken assets on project pages and custom domains.
 const base = isGitHubPages ? './' : '/';
@@ -49,11 +506,20 @@ export default defineConfig({
   base,
   plugins: [
     libreJsPlugin(),
+    projectsSchemaPlugin(),
+    feedPlugin(),
+    enrichmentPlugin(),
+    apiPlugin(),
+    logoPlugin(),
+    serviceWorkerPlugin(),
+    cspPlugin({ pages: ['404.html', 'offline.html'] }),
+    embedPlugin(),
     viteStaticCopy({
       targets: [
         { src: 'CNAME', dest: '' },
         { src: '404.html', dest: '' },
-        { src: 'projects.json', dest: '' },
+        { src: 'offline.html', dest: '' },
+        { src: 'manifest.webmanifest', dest: '' },
         { src: 'robots.txt', dest: '' },
         { src: 'sitemap.xml', dest: '' },
         { src: 'javascript-licenses.html', dest: '' },